@@ -6,6 +6,8 @@ const App = {
     solarData: [],
     gridData: [],
     mergedData: [],
+    // Original consumption-only meter data while gridData holds it netted with synthetic PV
+    consumptionData: null,
     currentPreset: 'custom',
     customStartDate: null,
     customEndDate: null,
@@ -20,7 +22,10 @@ const App = {
     overviewListenersAttached: false,
     // Store optimization results for CSV export
     optimizationResults: null,
-    optimizationMetricType: 'import', // 'import' | 'export'
+    optimizationMetricType: 'import', // 'import' | 'export' | 'npv' | 'payback'
+    // Store capacity x power heatmap results for CSV export
+    heatmapResults: null,
+    heatmapMetricType: 'savings', // 'savings' | 'npv'
     // Time aggregation state for each chart
     currentAggregationOverview: '15min',  // Options: '15min', 'daily', 'monthly'
     currentAggregationFlow: '15min',      // Options: '15min', 'daily', 'monthly'
@@ -59,15 +64,16 @@ const App = {
             return data;
         }
 
-        // For aggregation in energy mode, convert solar kW to kWh first (multiply by 0.25 for 15-min intervals)
+        // For aggregation in energy mode, convert solar kW to kWh first (multiply by the interval length in hours)
+        const intervalHours = BatterySimulation.getIntervalHours();
         const dataWithEnergy = data.map(d => ({
             ...d,
-            productionKwh: d.productionKw * 0.25  // Convert 15-min kW reading to kWh
+            productionKwh: d.productionKw * intervalHours  // Convert interval kW reading to kWh
         }));
 
         // For energy mode: sum all energy fields, average battery SOC
         const fields = {
-            sum: ['importKwh', 'exportKwh', 'productionKwh', 'gridImportWithBattery', 'gridExportWithBattery'],
+            sum: ['importKwh', 'exportKwh', 'productionKwh', 'consumptionKwh', 'gridImportWithBattery', 'gridExportWithBattery', 'curtailedKwh', 'curtailedWithBatteryKwh'],
             average: ['batterySocPercent', 'batterySocKwh']
         };
 
@@ -96,6 +102,136 @@ const App = {
     init() {
         console.log("App initializing...");
         
+        // Time-of-use tariff schedule editor
+        TariffEditor.init();
+        
+        // Show arbitrage / peak shaving options only for their dispatch strategy
+        const dispatchStrategy = document.getElementById('dispatchStrategy');
+        if (dispatchStrategy) {
+            dispatchStrategy.addEventListener('change', () => {
+                document.getElementById('arbitrageConfig').style.display = 
+                    dispatchStrategy.value === 'arbitrage' ? 'block' : 'none';
+                document.getElementById('peakShavingConfig').style.display = 
+                    dispatchStrategy.value === 'peak-shaving' ? 'block' : 'none';
+            });
+        }
+        
+        // Power curve presets fill the curve inputs, editing a curve switches to custom
+        const powerCurvePreset = document.getElementById('powerCurvePreset');
+        if (powerCurvePreset) {
+            powerCurvePreset.addEventListener('change', () => {
+                if (powerCurvePreset.value !== 'custom') {
+                    const preset = PowerCurves.getPreset(powerCurvePreset.value);
+                    document.getElementById('chargePowerCurve').value = PowerCurves.formatCurve(preset.charge);
+                    document.getElementById('dischargePowerCurve').value = PowerCurves.formatCurve(preset.discharge);
+                }
+                document.getElementById('powerCurveConfig').style.display = 
+                    powerCurvePreset.value === 'flat' ? 'none' : 'block';
+            });
+            ['chargePowerCurve', 'dischargePowerCurve'].forEach(id => {
+                document.getElementById(id).addEventListener('input', () => {
+                    powerCurvePreset.value = 'custom';
+                });
+            });
+        }
+        
+        // Efficiency curve presets fill the curve input, editing the curve switches to custom
+        const efficiencyCurvePreset = document.getElementById('efficiencyCurvePreset');
+        if (efficiencyCurvePreset) {
+            efficiencyCurvePreset.addEventListener('change', () => {
+                if (efficiencyCurvePreset.value !== 'custom') {
+                    document.getElementById('inverterEfficiencyCurve').value = 
+                        EfficiencyCurves.formatCurve(EfficiencyCurves.getPreset(efficiencyCurvePreset.value));
+                }
+                document.getElementById('efficiencyCurveConfig').style.display = 
+                    efficiencyCurvePreset.value === 'constant' ? 'none' : 'block';
+            });
+            document.getElementById('inverterEfficiencyCurve').addEventListener('input', () => {
+                efficiencyCurvePreset.value = 'custom';
+            });
+        }
+        
+        // Show outage options only when outages are enabled (manual list or random generator)
+        const outageMode = document.getElementById('outageMode');
+        if (outageMode) {
+            outageMode.addEventListener('change', () => {
+                document.getElementById('outageConfig').style.display = 
+                    outageMode.value === 'off' ? 'none' : 'block';
+                document.getElementById('outageManualItem').style.display = 
+                    outageMode.value === 'manual' ? '' : 'none';
+                document.querySelectorAll('.outage-random-item').forEach(item => {
+                    item.style.display = outageMode.value === 'random' ? '' : 'none';
+                });
+            });
+        }
+        
+        // Show load scenario options only for the added loads that are enabled
+        const evEnabled = document.getElementById('evEnabled');
+        if (evEnabled) {
+            evEnabled.addEventListener('change', () => {
+                document.getElementById('evConfig').style.display = 
+                    evEnabled.value === 'on' ? 'block' : 'none';
+            });
+            const evChargingMode = document.getElementById('evChargingMode');
+            evChargingMode.addEventListener('change', () => {
+                document.querySelectorAll('.ev-solar-first-item').forEach(item => {
+                    item.style.display = evChargingMode.value === 'solar-first' ? '' : 'none';
+                });
+            });
+        }
+        
+        const heatPumpMode = document.getElementById('heatPumpMode');
+        if (heatPumpMode) {
+            heatPumpMode.addEventListener('change', () => {
+                document.getElementById('heatPumpConfig').style.display = 
+                    heatPumpMode.value === 'off' ? 'none' : 'block';
+                document.getElementById('heatPumpMonthlyItem').style.display = 
+                    heatPumpMode.value === 'monthly' ? '' : 'none';
+                document.querySelectorAll('.heat-pump-temperature-item').forEach(item => {
+                    item.style.display = heatPumpMode.value === 'temperature' ? '' : 'none';
+                });
+            });
+        }
+        
+        // Show investment inputs only when investment economics are enabled,
+        // costs follow the currency defaults when the currency changes
+        const investmentEnabled = document.getElementById('investmentEnabled');
+        if (investmentEnabled) {
+            investmentEnabled.addEventListener('change', () => {
+                document.getElementById('investmentConfig').style.display = 
+                    investmentEnabled.value === 'on' ? 'block' : 'none';
+            });
+            document.getElementById('currency').addEventListener('change', (e) => {
+                const defaults = InvestmentAnalysis.defaults[e.target.value];
+                document.getElementById('investCostPerKwh').value = defaults.costPerKwh;
+                document.getElementById('investCostPerKw').value = defaults.costPerKw;
+                document.getElementById('investFixedCost').value = defaults.fixedCost;
+                document.getElementById('investSubsidy').value = defaults.subsidy;
+                document.getElementById('investOmCost').value = defaults.omPerYear;
+            });
+        }
+        
+        // Show the capacity range only for custom and adaptive sweeps
+        const sweepMode = document.getElementById('sweepMode');
+        if (sweepMode) {
+            sweepMode.addEventListener('change', () => {
+                document.querySelectorAll('.sweep-range-item').forEach(item => {
+                    item.style.display = sweepMode.value === 'preset' ? 'none' : '';
+                });
+                document.getElementById('sweepMaxRunsItem').style.display = 
+                    sweepMode.value === 'adaptive' ? '' : 'none';
+            });
+        }
+        
+        // Show degradation options only when the degradation model is enabled
+        const degradationEnabled = document.getElementById('degradationEnabled');
+        if (degradationEnabled) {
+            degradationEnabled.addEventListener('change', () => {
+                document.getElementById('degradationConfig').style.display = 
+                    degradationEnabled.value === 'on' ? 'block' : 'none';
+            });
+        }
+        
         // Listen for Solar file selection
         const solarInput = document.getElementById('solarInput');
         if (solarInput) {
@@ -173,6 +309,29 @@ const App = {
         if (btnOptimCurveExport) {
             btnOptimCurveExport.addEventListener('click', () => this.toggleOptimizationMetric('export'));
         }
+        const btnOptimCurveNpv = document.getElementById('btnOptimCurveNpv');
+        const btnOptimCurvePayback = document.getElementById('btnOptimCurvePayback');
+        if (btnOptimCurveNpv) {
+            btnOptimCurveNpv.addEventListener('click', () => this.toggleOptimizationMetric('npv'));
+        }
+        if (btnOptimCurvePayback) {
+            btnOptimCurvePayback.addEventListener('click', () => this.toggleOptimizationMetric('payback'));
+        }
+
+        // Listen for the optimization cancel button (curve and heatmap share the progress bar)
+        const btnCancelOptimization = document.getElementById('btnCancelOptimization');
+        if (btnCancelOptimization) {
+            btnCancelOptimization.addEventListener('click', () => WorkerPool.cancel());
+        }
+
+        // Listen for capacity x power heatmap buttons
+        const btnRunOptimizationHeatmap = document.getElementById('btnRunOptimizationHeatmap');
+        if (btnRunOptimizationHeatmap) {
+            btnRunOptimizationHeatmap.addEventListener('click', () => this.runOptimizationHeatmap());
+            document.getElementById('btnHeatmapSavings').addEventListener('click', () => this.toggleHeatmapMetric('savings'));
+            document.getElementById('btnHeatmapNpv').addEventListener('click', () => this.toggleHeatmapMetric('npv'));
+            document.getElementById('btnExportHeatmapCSV').addEventListener('click', () => this.exportHeatmapCSV());
+        }
 
         // Listen for CSV Export button
         const btnExportOptimizationCSV = document.getElementById('btnExportOptimizationCSV');
@@ -186,6 +345,16 @@ const App = {
             btnLoadDemo.addEventListener('click', () => this.loadDemoScenarios());
         }
 
+        // Synthetic PV generator for sites without solar data
+        const btnTogglePvGenerator = document.getElementById('btnTogglePvGenerator');
+        if (btnTogglePvGenerator) {
+            btnTogglePvGenerator.addEventListener('click', () => {
+                const pvGeneratorConfig = document.getElementById('pvGeneratorConfig');
+                pvGeneratorConfig.style.display = pvGeneratorConfig.style.display === 'none' ? 'block' : 'none';
+            });
+            document.getElementById('btnGeneratePv').addEventListener('click', () => this.generateSyntheticPv());
+        }
+
         // Listen for Energy Data Overview - Time Aggregation Controls
         const aggOverview15min = document.getElementById('agg-overview-15min');
         const aggOverviewDaily = document.getElementById('agg-overview-daily');
@@ -230,6 +399,11 @@ const App = {
                     return;
                 }
                 
+                // Yearly analysis inherits all other settings from the main configuration
+                const config = this.readBatteryConfig();
+                if (!config) return;
+                BatterySimulation.setConfig(config);
+                
                 YearlyAnalysis.runYearlyAnalysis(year, capacity, this.mergedData);
             });
         } else {
@@ -561,6 +735,7 @@ const App = {
         // Process dataset
         const processed = CSVHandler.processDataset(content, type);
         
+        this.clearSyntheticPv();
         if (type === 'solar') this.solarData = processed;
         if (type === 'grid') this.gridData = processed;
 
@@ -590,17 +765,83 @@ const App = {
             // Using processDataset from CSVHandler
             const processed = CSVHandler.processDataset(content, type);
             
+            this.clearSyntheticPv();
             if (type === 'solar') this.solarData = processed;
             if (type === 'grid') this.gridData = processed;
 
             document.getElementById('output').textContent = 
-                `Last action: Loaded ${type} data (${processed.length} rows)`;
+                `Last action: Loaded ${type} data (${processed.length} rows, ${DataMerger.detectIntervalMinutes(processed)}-minute intervals)`;
 
             this.handleDataProcessing();
         };
         reader.readAsText(file);
     },
 
+    /**
+     * Generate solar data for a consumption-only grid meter file (PvGenerator)
+     */
+    generateSyntheticPv() {
+        const meterData = this.consumptionData || this.gridData;
+        if (meterData.length === 0) {
+            alert('Please load the grid meter (consumption) file first');
+            return;
+        }
+
+        const options = {
+            latitude: parseFloat(document.getElementById('pvLatitude').value),
+            longitude: parseFloat(document.getElementById('pvLongitude').value),
+            tiltDeg: parseFloat(document.getElementById('pvTilt').value),
+            azimuthDeg: parseFloat(document.getElementById('pvAzimuth').value),
+            kWp: parseFloat(document.getElementById('pvKwp').value),
+            lossesPercent: parseFloat(document.getElementById('pvLosses').value) || 0,
+            clearness: null
+        };
+        const isValid = Math.abs(options.latitude) <= 90 && Math.abs(options.longitude) <= 180 &&
+            options.tiltDeg >= 0 && options.tiltDeg <= 90 && options.azimuthDeg >= 0 && options.azimuthDeg <= 360 &&
+            options.kWp > 0 && options.lossesPercent >= 0 && options.lossesPercent < 100;
+        if (!isValid) {
+            alert('Invalid PV array. Check latitude (-90 to 90), longitude (-180 to 180), tilt (0-90), azimuth (0-360), a positive kWp and losses below 100%.');
+            return;
+        }
+
+        const clearnessText = document.getElementById('pvClearness').value.trim();
+        if (clearnessText.length > 0) {
+            options.clearness = PvGenerator.parseClearness(clearnessText);
+            if (!options.clearness) {
+                alert('Invalid clearness indices. Enter 12 values between 0 and 1 (Jan-Dec) separated by commas.');
+                return;
+            }
+        }
+
+        // Same range and interval as the meter file, the meter reading becomes the household load
+        const intervalMinutes = DataMerger.detectIntervalMinutes(meterData);
+        const startMs = meterData.reduce((min, row) => Math.min(min, row.timestampMs), Infinity);
+        const endMs = meterData.reduce((max, row) => Math.max(max, row.timestampMs), -Infinity);
+        const solarData = PvGenerator.generate(options, startMs, endMs, intervalMinutes);
+
+        this.consumptionData = meterData;
+        this.solarData = solarData;
+        this.gridData = PvGenerator.netGridData(meterData, solarData, intervalMinutes);
+
+        const productionKwh = solarData.reduce((sum, row) => sum + row.productionKw * intervalMinutes / 60, 0);
+        document.getElementById('output').textContent = 
+            `Last action: Generated solar data (${options.kWp} kWp, ${this.formatNumber(productionKwh, 0)} kWh, ` +
+            `${options.clearness ? 'monthly clearness' : 'clear sky'})`;
+
+        this.handleDataProcessing();
+    },
+
+    /**
+     * Restore the consumption-only meter data before a new file replaces synthetic PV
+     */
+    clearSyntheticPv() {
+        if (this.consumptionData) {
+            this.gridData = this.consumptionData;
+            this.solarData = [];
+            this.consumptionData = null;
+        }
+    },
+
     /**
      * Orchestrates the merging and subsequent UI steps.
      */
@@ -608,6 +849,11 @@ const App = {
         // We proceed if at least one dataset is available
         if (this.solarData.length > 0 || this.gridData.length > 0) {
             this.mergedData = DataMerger.mergeDatasets(this.solarData, this.gridData);
+            
+            // Interval length of the merged timeline drives every kW <-> kWh conversion
+            const intervalMinutes = DataMerger.detectIntervalMinutes(this.mergedData);
+            BatterySimulation.setConfig({ intervalMinutes: intervalMinutes });
+            this.updateIntervalLabels(intervalMinutes);
             this.updateDateRangeUI();
             
             // Initial render with the full range detected
@@ -620,6 +866,18 @@ const App = {
         }
     },
 
+    /**
+     * Label the raw-resolution aggregation buttons with the detected interval
+     * @param {number} intervalMinutes - Data interval in minutes
+     */
+    updateIntervalLabels(intervalMinutes) {
+        const label = intervalMinutes % 60 === 0 ? `${intervalMinutes / 60} h` : `${intervalMinutes} min`;
+        ['agg-overview-15min', 'agg-flow-15min'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.textContent = label;
+        });
+    },
+
     /**
      * Locks the current date range for simulation
      * This range will be used for battery simulation and won't change with chart zoom/pan
@@ -787,6 +1045,167 @@ const App = {
         this.selectPreset('full');
     },
 
+    /**
+     * Read battery and tariff configuration from the form
+     * @returns {Object|null} Config for BatterySimulation.setConfig, null if the tariff schedule is invalid
+     */
+    readBatteryConfig() {
+        const tariffMode = document.getElementById('tariffMode').value;
+
+        if (tariffMode === 'tou' && !TariffEditor.validate()) {
+            alert('The time-of-use tariff schedule is invalid. Please fix the highlighted problems first.');
+            return null;
+        }
+
+        const initialSocPercent = parseFloat(document.getElementById('initialSoc').value);
+        const exportLimitKw = parseFloat(document.getElementById('exportLimit').value);
+        const inverterRatingKva = parseFloat(document.getElementById('inverterRating').value);
+
+        // Hypothetical PV size: production scales with hypothetical / existing kWp
+        const pvExistingKwp = parseFloat(document.getElementById('pvExistingKwp').value);
+        const pvTargetKwp = parseFloat(document.getElementById('pvTargetKwp').value);
+        let pvScaleFactor = 1;
+        if (!isNaN(pvTargetKwp)) {
+            if (isNaN(pvExistingKwp) || pvExistingKwp <= 0 || pvTargetKwp < 0) {
+                alert('Invalid PV size. Enter the existing array size (kWp, greater than 0) to simulate a hypothetical PV array.');
+                return null;
+            }
+            pvScaleFactor = pvTargetKwp / pvExistingKwp;
+        }
+
+        // Added EV / heat pump load (null = measured load only)
+        const loadScenario = this.readLoadScenario();
+        if (loadScenario === false) return null;
+
+        // Custom power curves are read from the text inputs, presets come from PowerCurves
+        const powerCurvePreset = document.getElementById('powerCurvePreset').value;
+        let chargePowerCurve = null;
+        let dischargePowerCurve = null;
+        if (powerCurvePreset === 'custom') {
+            chargePowerCurve = PowerCurves.parseCurve(document.getElementById('chargePowerCurve').value);
+            dischargePowerCurve = PowerCurves.parseCurve(document.getElementById('dischargePowerCurve').value);
+            if (!chargePowerCurve || !dischargePowerCurve) {
+                alert('Invalid power curve. Use "SOC%:factor" pairs separated by commas, with SOC 0-100 and factor 0-1 (e.g. "0:1, 90:1, 100:0.1").');
+                return null;
+            }
+        }
+
+        // Custom efficiency curve is read from the text input, presets come from EfficiencyCurves
+        const efficiencyCurvePreset = document.getElementById('efficiencyCurvePreset').value;
+        let inverterEfficiencyCurve = null;
+        if (efficiencyCurvePreset === 'custom') {
+            inverterEfficiencyCurve = EfficiencyCurves.parseCurve(document.getElementById('inverterEfficiencyCurve').value);
+            if (!inverterEfficiencyCurve) {
+                alert('Invalid efficiency curve. Use "load%:efficiency%" pairs separated by commas, with load 0-200 and efficiency 0-100 (e.g. "10:93, 50:96.6, 100:96.1").');
+                return null;
+            }
+        }
+
+        return {
+            capacityKwh: parseFloat(document.getElementById('batteryCapacity').value),
+            chargeEfficiency: parseFloat(document.getElementById('chargeEfficiency').value) / 100,
+            dischargeEfficiency: parseFloat(document.getElementById('dischargeEfficiency').value) / 100,
+            batteryEfficiency: parseFloat(document.getElementById('batteryEfficiency').value) / 100,
+            efficiencyCurvePreset: efficiencyCurvePreset,
+            inverterEfficiencyCurve: inverterEfficiencyCurve,
+            maxChargeRateKw: parseFloat(document.getElementById('maxChargeRate').value),
+            maxDischargeRateKw: parseFloat(document.getElementById('maxDischargeRate').value),
+            powerCurvePreset: powerCurvePreset,
+            chargePowerCurve: chargePowerCurve,
+            dischargePowerCurve: dischargePowerCurve,
+            minSocPercent: parseFloat(document.getElementById('minSoc').value),
+            selfDischargePercentPerMonth: parseFloat(document.getElementById('selfDischarge').value) || 0,
+            standbyPowerW: parseFloat(document.getElementById('standbyPower').value) || 0,
+            maxSocPercent: parseFloat(document.getElementById('maxSoc').value),
+            backupReservePercent: parseFloat(document.getElementById('backupReserve').value) || 0,
+            inverterMode: document.getElementById('inverterMode').value,
+            inverterCoupling: document.getElementById('inverterCoupling').value,
+            inverterRatingKva: isNaN(inverterRatingKva) ? null : Math.max(0, inverterRatingKva),
+            exportLimitKw: isNaN(exportLimitKw) ? null : Math.max(0, exportLimitKw),
+            pvScaleFactor: pvScaleFactor,
+            loadScenario: loadScenario,
+            initialSocPercent: isNaN(initialSocPercent) ? null : initialSocPercent,
+            steadyState: document.getElementById('steadyState').value === 'on',
+            currency: document.getElementById('currency').value,
+            tariffMode: tariffMode,
+            touSchedule: tariffMode === 'tou' ? TariffEditor.getSchedule() : null,
+            dispatchStrategy: document.getElementById('dispatchStrategy').value,
+            gridChargeMaxKw: parseFloat(document.getElementById('gridChargeMaxKw').value),
+            arbitrageTargetSocPercent: parseFloat(document.getElementById('arbitrageTargetSoc').value),
+            arbitrageTargetTime: document.getElementById('arbitrageTargetTime').value || '06:00',
+            peakShavingLimitKw: parseFloat(document.getElementById('peakShavingLimit').value) || 0,
+            peakShavingReserveSocPercent: parseFloat(document.getElementById('peakShavingReserveSoc').value) || 0,
+            peakShavingSelfConsumption: document.getElementById('peakShavingSelfConsumption').value === 'on',
+            demandChargePerKw: parseFloat(document.getElementById('demandCharge').value) || 0,
+            degradationEnabled: document.getElementById('degradationEnabled').value === 'on',
+            cycleFadePercentPerCycle: parseFloat(document.getElementById('cycleFadePercent').value) || 0,
+            calendarFadePercentPerYear: parseFloat(document.getElementById('calendarFadePercent').value) || 0,
+            endOfLifeSohPercent: parseFloat(document.getElementById('endOfLifeSoh').value) || 0
+        };
+    },
+
+    /**
+     * Read the EV / heat pump load scenario from the form
+     * @returns {Object|null|false} Scenario for LoadScenarios.apply, null if no load is added, false if the input is invalid
+     */
+    readLoadScenario() {
+        const evEnabled = document.getElementById('evEnabled').value === 'on';
+        const heatPumpMode = document.getElementById('heatPumpMode').value;
+        if (!evEnabled && heatPumpMode === 'off') return null;
+
+        let ev = null;
+        if (evEnabled) {
+            ev = {
+                dailyKm: parseFloat(document.getElementById('evDailyKm').value),
+                kwhPer100Km: parseFloat(document.getElementById('evConsumption').value),
+                chargerKw: parseFloat(document.getElementById('evChargerKw').value),
+                chargingEfficiency: parseFloat(document.getElementById('evChargingEfficiency').value) / 100,
+                plugInTime: document.getElementById('evPlugInTime').value || LoadScenarios.defaults.ev.plugInTime,
+                plugOutTime: document.getElementById('evPlugOutTime').value || LoadScenarios.defaults.ev.plugOutTime,
+                batteryServesEv: document.getElementById('evBatteryServes').value === 'on',
+                chargingMode: document.getElementById('evChargingMode').value,
+                minChargePercent: parseFloat(document.getElementById('evMinCharge').value),
+                batteryKwh: parseFloat(document.getElementById('evBatteryKwh').value)
+            };
+            const isValid = ev.dailyKm >= 0 && ev.kwhPer100Km > 0 && ev.chargerKw > 0 &&
+                ev.chargingEfficiency > 0 && ev.chargingEfficiency <= 1 &&
+                ev.minChargePercent >= 0 && ev.minChargePercent <= 100 && ev.batteryKwh > 0;
+            if (!isValid) {
+                alert('Invalid EV settings. Daily driving must be 0 or more; consumption, charger power, efficiency (max. 100%) and EV battery capacity must be greater than 0; the minimum daily charge must be 0-100%.');
+                return false;
+            }
+        }
+
+        let heatPump = null;
+        if (heatPumpMode === 'monthly') {
+            const monthlyKwh = LoadScenarios.parseMonthly(document.getElementById('heatPumpMonthlyKwh').value, 0, 100000);
+            if (!monthlyKwh) {
+                alert('Invalid heat pump table. Enter 12 monthly kWh values (Jan-Dec, 0 or more) separated by commas.');
+                return false;
+            }
+            heatPump = { ...LoadScenarios.defaults.heatPump, mode: 'monthly', monthlyKwh: monthlyKwh };
+        } else if (heatPumpMode === 'temperature') {
+            const monthlyTemperatures = LoadScenarios.parseMonthly(document.getElementById('heatPumpTemperatures').value, -50, 50);
+            heatPump = {
+                ...LoadScenarios.defaults.heatPump,
+                mode: 'temperature',
+                monthlyTemperatures: monthlyTemperatures,
+                dailySwingC: parseFloat(document.getElementById('heatPumpDailySwing').value) || 0,
+                heatLossKwPerK: parseFloat(document.getElementById('heatPumpHeatLoss').value),
+                baseTemperatureC: parseFloat(document.getElementById('heatPumpBaseTemp').value),
+                copAt7C: parseFloat(document.getElementById('heatPumpCop').value)
+            };
+            const isValid = monthlyTemperatures && heatPump.heatLossKwPerK >= 0 &&
+                !isNaN(heatPump.baseTemperatureC) && heatPump.copAt7C >= 1;
+            if (!isValid) {
+                alert('Invalid heat pump settings. Enter 12 monthly mean temperatures (Jan-Dec, -50 to 50 °C) separated by commas, a heat loss of 0 or more and a COP of at least 1.');
+                return false;
+            }
+        }
+
+        return { ev: ev, heatPump: heatPump };
+    },
+
     /**
      * Run battery simulation with current configuration
      */
@@ -815,17 +1234,16 @@ const App = {
         }
 
         // Read battery configuration from UI
-        const config = {
-            capacityKwh: parseFloat(document.getElementById('batteryCapacity').value),
-            chargeEfficiency: parseFloat(document.getElementById('chargeEfficiency').value) / 100,
-            dischargeEfficiency: parseFloat(document.getElementById('dischargeEfficiency').value) / 100,
-            maxChargeRateKw: parseFloat(document.getElementById('maxChargeRate').value),
-            maxDischargeRateKw: parseFloat(document.getElementById('maxDischargeRate').value),
-            minSocPercent: parseFloat(document.getElementById('minSoc').value),
-            maxSocPercent: parseFloat(document.getElementById('maxSoc').value),
-            inverterMode: document.getElementById('inverterMode').value,
-            currency: document.getElementById('currency').value
-        };
+        const config = this.readBatteryConfig();
+        if (!config) return;
+
+        // Grid outages to replay (null = off)
+        const outages = this.readOutages(filtered);
+        if (outages === false) return;
+
+        // Investment inputs (null = off)
+        const investment = this.readInvestmentConfig();
+        if (investment === false) return;
 
         // Update simulation configuration
         BatterySimulation.setConfig(config);
@@ -833,15 +1251,133 @@ const App = {
         // Run simulation
         const results = BatterySimulation.simulate(filtered);
 
+        // Solve perfect-foresight optimal schedule as a benchmark (optional, slower),
+        // only for configurations the solver models
+        let optimalResults = null;
+        const benchmarkUnsupported = document.getElementById('optimalBenchmark').value === 'on'
+            ? OptimalDispatch.getUnsupportedFeatures(filtered, config)
+            : [];
+        if (document.getElementById('optimalBenchmark').value === 'on' && benchmarkUnsupported.length === 0) {
+            const startTime = performance.now();
+            optimalResults = OptimalDispatch.solve(filtered, results);
+            console.log(`Optimal dispatch solved in ${(performance.now() - startTime).toFixed(0)} ms ` +
+                `(${optimalResults.levels} SOC levels, ${optimalResults.levelKwh.toFixed(3)} kWh/level)`);
+        }
+
         // Store simulation results for energy flow chart
         this.currentSimulationResults = results;
 
         // Display results
-        this.displaySimulationResults(results.metrics);
+        this.displaySimulationResults(results.metrics, optimalResults ? optimalResults.metrics : null, benchmarkUnsupported);
+        
+        // Starting SOC used for the reported pass
+        const startSocPercent = config.capacityKwh > 0 ? results.initialSocKwh / config.capacityKwh * 100 : 0;
+        document.getElementById('initialSocInfo').textContent = config.steadyState
+            ? `Starting SOC: ${startSocPercent.toFixed(1)}% (steady state - final SOC of the warm-up pass) | ` +
+              `Kezdő SOC: ${startSocPercent.toFixed(1)}% (állandósult állapot - az első futás végső SOC-ja)`
+            : `Starting SOC: ${startSocPercent.toFixed(1)}% | Kezdő SOC: ${startSocPercent.toFixed(1)}%`;
         this.renderComparisonChart(results.metrics);
         
+        // Investment economics (optional)
+        if (investment) {
+            const powerKw = Math.max(config.maxChargeRateKw, config.maxDischargeRateKw);
+            const investmentResults = InvestmentAnalysis.analyze(results.metrics, config.capacityKwh, investment, powerKw);
+            this.displayInvestmentEconomics(investmentResults, investment, results.metrics.financials.currency);
+        } else {
+            document.getElementById('investmentSection').style.display = 'none';
+        }
+        
         // Render energy flow chart
         this.renderEnergyFlowChart(results.simulatedData, filtered);
+        
+        // Render monthly peak import chart (peak shaving or demand charge only)
+        const peakSection = document.getElementById('peakChartSection');
+        if (config.dispatchStrategy === 'peak-shaving' || config.demandChargePerKw > 0) {
+            peakSection.style.display = 'block';
+            Visualizer.renderMonthlyPeakChart(
+                results.metrics.monthlyPeaks,
+                config.dispatchStrategy === 'peak-shaving' ? config.peakShavingLimitKw : null
+            );
+        } else {
+            peakSection.style.display = 'none';
+        }
+        
+        // Render state of health chart (degradation model only)
+        const sohSection = document.getElementById('sohChartSection');
+        if (results.metrics.degradation) {
+            sohSection.style.display = 'block';
+            Visualizer.renderSohChart(results.simulatedData, results.metrics.degradation.endOfLifeSohPercent);
+        } else {
+            sohSection.style.display = 'none';
+        }
+        
+        // Rainflow cycle statistics over the SOC trace
+        this.displayCycleStatistics(CycleAnalysis.analyze(results.simulatedData));
+        
+        // Household load profile and solar / battery / grid coverage
+        this.displayLoadAnalytics(LoadAnalysis.analyze(results.simulatedData));
+        
+        // AC-coupled retrofit vs DC-coupled hybrid with the same inverter rating
+        if (config.inverterRatingKva !== null) {
+            const otherCoupling = config.inverterCoupling === 'dc' ? 'ac' : 'dc';
+            let otherResults;
+            BatterySimulation.setConfig({ inverterCoupling: otherCoupling });
+            try {
+                otherResults = BatterySimulation.simulate(filtered);
+            } finally {
+                BatterySimulation.setConfig({ inverterCoupling: config.inverterCoupling });
+            }
+
+            const byCoupling = { [config.inverterCoupling]: results, [otherCoupling]: otherResults };
+            this.displayCouplingComparison(byCoupling.ac.metrics, byCoupling.dc.metrics);
+        } else {
+            document.getElementById('couplingSection').style.display = 'none';
+        }
+        
+        // Per-phase comparison of both inverter modes (per-phase grid data only)
+        if (results.metrics.phases) {
+            const otherMode = config.inverterMode === 'asymmetric' ? 'symmetric' : 'asymmetric';
+            let otherResults;
+            BatterySimulation.setConfig({ inverterMode: otherMode });
+            try {
+                otherResults = BatterySimulation.simulate(filtered);
+            } finally {
+                BatterySimulation.setConfig({ inverterMode: config.inverterMode });
+            }
+
+            const byMode = { [config.inverterMode]: results, [otherMode]: otherResults };
+            this.displayPhaseComparison(byMode.symmetric.metrics, byMode.asymmetric.metrics);
+        } else {
+            document.getElementById('phaseSection').style.display = 'none';
+        }
+        
+        // EV charging strategies compared against each other (EV load scenario only)
+        if (config.loadScenario && config.loadScenario.ev) {
+            const scenario = config.loadScenario;
+            const otherMode = scenario.ev.chargingMode === 'solar-first' ? 'uncontrolled' : 'solar-first';
+            let otherResults;
+            let withoutEvResults;
+            try {
+                BatterySimulation.setConfig({ loadScenario: { ...scenario, ev: { ...scenario.ev, chargingMode: otherMode } } });
+                otherResults = BatterySimulation.simulate(filtered);
+                BatterySimulation.setConfig({ loadScenario: { ...scenario, ev: null } });
+                withoutEvResults = BatterySimulation.simulate(filtered);
+            } finally {
+                BatterySimulation.setConfig({ loadScenario: scenario });
+            }
+
+            const byMode = { [scenario.ev.chargingMode]: results, [otherMode]: otherResults };
+            this.displayEvChargingComparison(byMode.uncontrolled.metrics, byMode['solar-first'].metrics, withoutEvResults.metrics);
+        } else {
+            document.getElementById('evComparisonSection').style.display = 'none';
+        }
+        
+        // Grid outage resilience (optional)
+        if (outages) {
+            this.displayOutageResilience(OutageAnalysis.analyze(results.simulatedData, outages));
+        } else {
+            document.getElementById('outageSection').style.display = 'none';
+        }
 
         // Show results section
         document.getElementById('simulationResults').style.display = 'block';
@@ -850,10 +1386,292 @@ const App = {
         document.getElementById('simulationResults').scrollIntoView({ behavior: 'smooth' });
     },
 
+    /**
+     * Display savings of an AC-coupled retrofit and a DC-coupled hybrid with the same inverter rating
+     * @param {Object} acMetrics - Simulation metrics with inverterCoupling 'ac'
+     * @param {Object} dcMetrics - Simulation metrics with inverterCoupling 'dc'
+     */
+    displayCouplingComparison(acMetrics, dcMetrics) {
+        const currency = acMetrics.financials.currency;
+        const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
+        const decimals = currency === 'HUF' ? 0 : 2;
+
+        document.getElementById('couplingAcSavings').textContent = 
+            `${this.formatNumber(acMetrics.financials.totalSavings, decimals)} ${currencySymbol}`;
+        document.getElementById('couplingAcDetail').textContent = 
+            `Battery self-consumption: ${this.formatNumber(acMetrics.after.batterySelfConsumption, 1)} kWh`;
+        document.getElementById('couplingDcSavings').textContent = 
+            `${this.formatNumber(dcMetrics.financials.totalSavings, decimals)} ${currencySymbol}`;
+        document.getElementById('couplingDcDetail').textContent = 
+            `Clipped PV: ${this.formatNumber(dcMetrics.after.inverterClippedEnergy, 1)} kWh | ` +
+            `Stored: ${this.formatNumber(dcMetrics.after.clippedPvStored, 1)} kWh`;
+        document.getElementById('couplingDifference').textContent = 
+            `${this.formatNumber(dcMetrics.financials.totalSavings - acMetrics.financials.totalSavings, decimals)} ${currencySymbol}`;
+
+        document.getElementById('couplingSection').style.display = 'block';
+    },
+
+    /**
+     * Display per-phase import/export for the symmetric and asymmetric inverter modes
+     * @param {Object} symmetricMetrics - Simulation metrics with inverterMode 'symmetric'
+     * @param {Object} asymmetricMetrics - Simulation metrics with inverterMode 'asymmetric'
+     */
+    displayPhaseComparison(symmetricMetrics, asymmetricMetrics) {
+        const currency = symmetricMetrics.financials.currency;
+        const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
+        const decimals = currency === 'HUF' ? 0 : 2;
+
+        document.getElementById('phaseNetting').textContent = 
+            `${this.formatNumber(asymmetricMetrics.phases.nettingKwh, 1)} kWh`;
+        document.getElementById('phaseMismatch').textContent = 
+            `${this.formatNumber(symmetricMetrics.phases.mismatchKwh, 1)} kWh`;
+        document.getElementById('phaseSavings').textContent = 
+            `${this.formatNumber(asymmetricMetrics.financials.totalSavings - symmetricMetrics.financials.totalSavings, decimals)} ${currencySymbol}`;
+        document.getElementById('phaseSavingsDetail').textContent = 
+            `Savings: Symmetric ${this.formatNumber(symmetricMetrics.financials.totalSavings, decimals)} ${currencySymbol} | ` +
+            `Asymmetric ${this.formatNumber(asymmetricMetrics.financials.totalSavings, decimals)} ${currencySymbol}`;
+
+        const tbody = document.getElementById('phaseTableBody');
+        tbody.innerHTML = '';
+        const totals = { importBefore: 0, exportBefore: 0, symImport: 0, symExport: 0, asymImport: 0, asymExport: 0 };
+        const addRow = (label, values) => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><strong>${label}</strong></td>
+                ${values.map(value => `<td>${this.formatNumber(value, 1)} kWh</td>`).join('')}
+            `;
+        };
+
+        symmetricMetrics.phases.phases.forEach((symPhase, i) => {
+            const asymPhase = asymmetricMetrics.phases.phases[i];
+            const values = [symPhase.importBefore, symPhase.exportBefore, symPhase.importAfter, symPhase.exportAfter, asymPhase.importAfter, asymPhase.exportAfter];
+            Object.keys(totals).forEach((key, k) => { totals[key] += values[k]; });
+            addRow(symPhase.phase, values);
+        });
+        addRow('Total', Object.values(totals));
+
+        document.getElementById('phaseSection').style.display = 'block';
+    },
+
+    /**
+     * Display EV charging with uncontrolled and solar-first charging, with and without the home battery
+     * @param {Object} uncontrolledMetrics - Simulation metrics with chargingMode 'uncontrolled'
+     * @param {Object} solarFirstMetrics - Simulation metrics with chargingMode 'solar-first'
+     * @param {Object} withoutEvMetrics - Simulation metrics of the same system without the EV
+     */
+    displayEvChargingComparison(uncontrolledMetrics, solarFirstMetrics, withoutEvMetrics) {
+        const currency = uncontrolledMetrics.financials.currency;
+        const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
+        const decimals = currency === 'HUF' ? 0 : 2;
+        const referenceBill = uncontrolledMetrics.financials.baselineCost;
+
+        const setups = [
+            { label: 'Uncontrolled, no battery', metrics: uncontrolledMetrics, costKey: 'baselineCost' },
+            { label: 'Solar-first, no battery', metrics: solarFirstMetrics, costKey: 'baselineCost' },
+            { label: 'Uncontrolled + home battery', metrics: uncontrolledMetrics, costKey: 'batteryCost' },
+            { label: 'Solar-first + home battery', metrics: solarFirstMetrics, costKey: 'batteryCost' }
+        ];
+
+        const tbody = document.getElementById('evComparisonTableBody');
+        tbody.innerHTML = '';
+        setups.forEach(setup => {
+            const { evLoad, evSurplusLoad } = setup.metrics.before;
+            const bill = setup.metrics.financials[setup.costKey];
+            const evCost = bill - withoutEvMetrics.financials[setup.costKey];
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><strong>${setup.label}</strong></td>
+                <td>${this.formatNumber(evLoad, 0)} kWh</td>
+                <td>${(evLoad > 0 ? (evSurplusLoad / evLoad) * 100 : 0).toFixed(1)}%</td>
+                <td>${this.formatNumber(evLoad - evSurplusLoad, 0)} kWh</td>
+                <td>${this.formatNumber(evCost, decimals)} ${currencySymbol}</td>
+                <td>${evLoad > 0 ? `${this.formatNumber(evCost / evLoad, 2)} ${currencySymbol}/kWh` : '--'}</td>
+                <td>${this.formatNumber(bill, decimals)} ${currencySymbol}</td>
+                <td>${this.formatNumber(referenceBill - bill, decimals)} ${currencySymbol}</td>
+            `;
+        });
+
+        document.getElementById('evComparisonSection').style.display = 'block';
+    },
+
+    /**
+     * Read investment inputs from UI
+     * @returns {Object|null|false} Inputs for InvestmentAnalysis.analyze, null if investment economics are off, false if the input is invalid
+     */
+    readInvestmentConfig() {
+        if (document.getElementById('investmentEnabled').value !== 'on') return null;
+
+        const investment = {
+            costPerKwh: parseFloat(document.getElementById('investCostPerKwh').value),
+            costPerKw: parseFloat(document.getElementById('investCostPerKw').value) || 0,
+            fixedCost: parseFloat(document.getElementById('investFixedCost').value) || 0,
+            subsidy: parseFloat(document.getElementById('investSubsidy').value) || 0,
+            omPerYear: parseFloat(document.getElementById('investOmCost').value) || 0,
+            discountRatePercent: parseFloat(document.getElementById('investDiscountRate').value) || 0,
+            escalationPercent: parseFloat(document.getElementById('investEscalation').value) || 0,
+            lifetimeYears: parseInt(document.getElementById('investLifetime').value, 10)
+        };
+
+        const isValid = investment.costPerKwh >= 0 && investment.costPerKw >= 0 && investment.fixedCost >= 0 && investment.subsidy >= 0 &&
+            investment.omPerYear >= 0 && investment.discountRatePercent > -100 && investment.escalationPercent > -100 &&
+            investment.lifetimeYears >= 1 && investment.lifetimeYears <= 50;
+        if (!isValid) {
+            alert('Invalid investment inputs. Costs, subsidy and O&M must be 0 or more, the lifetime 1-50 years.');
+            return false;
+        }
+        return investment;
+    },
+
+    /**
+     * Display investment KPIs and the cumulative cash flow chart
+     * @param {Object} investmentResults - Output of InvestmentAnalysis.analyze
+     * @param {Object} investment - Investment inputs
+     * @param {string} currency - 'HUF' or 'EUR'
+     */
+    displayInvestmentEconomics(investmentResults, investment, currency) {
+        const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
+        const decimals = currency === 'HUF' ? 0 : 2;
+        const formatYears = years => years === null ? 'Never' : `${years.toFixed(1)} y`;
+
+        document.getElementById('investNetInvestment').textContent = 
+            `${this.formatNumber(investmentResults.netInvestment, decimals)} ${currencySymbol}`;
+        document.getElementById('investCapexDetail').textContent = 
+            `CAPEX ${this.formatNumber(investmentResults.capex, decimals)} ${currencySymbol} | ` +
+            `Subsidy ${this.formatNumber(investmentResults.subsidy, decimals)} ${currencySymbol}`;
+        document.getElementById('investAnnualSavings').textContent = 
+            `${this.formatNumber(investmentResults.annualSavings, decimals)} ${currencySymbol}`;
+        document.getElementById('investAnnualDetail').textContent = 
+            `First year, before O&M (${this.formatNumber(investment.omPerYear, decimals)} ${currencySymbol}/year)`;
+        document.getElementById('investPayback').textContent = 
+            `${formatYears(investmentResults.simplePaybackYears)} / ${formatYears(investmentResults.discountedPaybackYears)}`;
+        document.getElementById('investPaybackDetail').textContent = 
+            `Lifetime ${investmentResults.lifetimeYears} years`;
+        document.getElementById('investNpv').textContent = 
+            `${this.formatNumber(investmentResults.npv, decimals)} ${currencySymbol}`;
+        document.getElementById('investNpvDetail').textContent = 
+            `Discount rate ${investment.discountRatePercent}% | Escalation ${investment.escalationPercent}%/year`;
+        document.getElementById('investIrr').textContent = investmentResults.irr !== null
+            ? `${investmentResults.irr.toFixed(1)}%`
+            : '--';
+        document.getElementById('investLcos').textContent = investmentResults.lcos !== null
+            ? `${this.formatNumber(investmentResults.lcos, 2)} ${currencySymbol}/kWh`
+            : '--';
+        document.getElementById('investLcosDetail').textContent = 
+            `Per discharged kWh (${this.formatNumber(investmentResults.annualDischargedKwh, 0)} kWh/year), charging energy excluded`;
+
+        document.getElementById('investmentSection').style.display = 'block';
+        Visualizer.renderCashFlowChart(investmentResults, currency);
+    },
+
+    /**
+     * Read grid outage windows from UI
+     * @param {Array} data - Simulation range (for the random generator)
+     * @returns {Array|null|false} Outages, null if outages are off, false if the input is invalid
+     */
+    readOutages(data) {
+        const outageMode = document.getElementById('outageMode').value;
+
+        if (outageMode === 'manual') {
+            const outages = OutageAnalysis.parseOutages(document.getElementById('outageList').value);
+            if (!outages) {
+                alert('Invalid outage list. Use "YYYY-MM-DD HH:MM, hours" entries separated by ";" (e.g. "2025-01-15 18:00, 4; 2025-07-10 20:00, 12").');
+                return false;
+            }
+            return outages;
+        }
+
+        if (outageMode === 'random') {
+            return OutageAnalysis.generateRandomOutages(
+                data,
+                parseInt(document.getElementById('outageCount').value, 10) || 0,
+                parseFloat(document.getElementById('outageDuration').value) || 0,
+                parseInt(document.getElementById('outageSeed').value, 10) || 1
+            );
+        }
+
+        return null;
+    },
+
+    /**
+     * Display grid outage resilience KPIs and the per-outage table
+     * @param {Object} resilience - Output of OutageAnalysis.analyze
+     */
+    displayOutageResilience(resilience) {
+        document.getElementById('outageBridgedHours').textContent = 
+            `${this.formatNumber(resilience.bridgedHours, 2)} h`;
+        document.getElementById('outageBridgedPercent').textContent = 
+            `${resilience.bridgedPercent.toFixed(1)}% of ${this.formatNumber(resilience.outageHours, 2)} h`;
+        document.getElementById('outageFullyBridged').textContent = 
+            `${resilience.fullyBridgedCount} / ${resilience.outages.length}`;
+        document.getElementById('outageUnserved').textContent = 
+            `${this.formatNumber(resilience.unservedKwh, 1)} kWh`;
+
+        const tbody = document.getElementById('outageTableBody');
+        tbody.innerHTML = '';
+        resilience.outages.forEach(outage => {
+            const row = tbody.insertRow();
+            const inRange = outage.coveredHours > 0;
+            row.innerHTML = `
+                <td>${new Date(outage.startMs).toLocaleString()}</td>
+                <td>${this.formatNumber(outage.durationHours, 2)} h</td>
+                <td>${inRange ? `${outage.startSocPercent.toFixed(1)}%` : '--'}</td>
+                <td>${inRange ? `${this.formatNumber(outage.bridgedHours, 2)} / ${this.formatNumber(outage.coveredHours, 2)} h` : 'Outside range'}</td>
+                <td>${inRange ? (outage.fullyBridged ? '✅ Fully bridged' : `${this.formatNumber(outage.hoursUntilFirstFailure, 2)} h`) : '--'}</td>
+                <td>${this.formatNumber(outage.unservedKwh, 1)} kWh</td>
+            `;
+        });
+
+        document.getElementById('outageSection').style.display = 'block';
+    },
+
+    /**
+     * Display rainflow cycle statistics and the cycle depth histogram
+     * @param {Object} cycleStats - Output of CycleAnalysis.analyze
+     */
+    displayCycleStatistics(cycleStats) {
+        document.getElementById('cycleEquivalentFull').textContent = 
+            this.formatNumber(cycleStats.equivalentFullCycles, 1);
+        document.getElementById('cycleCount').textContent = 
+            `${this.formatNumber(cycleStats.cycleCount, 1)} cycles counted`;
+        document.getElementById('cyclesPerDay').textContent = cycleStats.cyclesPerDay.toFixed(2);
+        document.getElementById('cyclesPerMonth').textContent = cycleStats.cyclesPerMonth.toFixed(1);
+        document.getElementById('cyclesPerYear').textContent = this.formatNumber(cycleStats.cyclesPerYear, 0);
+        document.getElementById('cycleAverageDepth').textContent = 
+            `${cycleStats.averageDepthPercent.toFixed(1)}%`;
+
+        document.getElementById('cycleStatsSection').style.display = 'block';
+        Visualizer.renderCycleHistogram(cycleStats);
+    },
+
+    /**
+     * Display household load analytics
+     * @param {Object} loadStats - Output of LoadAnalysis.analyze
+     */
+    displayLoadAnalytics(loadStats) {
+        const { coverage } = loadStats;
+
+        document.getElementById('loadTotal').textContent = `${this.formatNumber(loadStats.totalLoadKwh, 0)} kWh`;
+        document.getElementById('loadDailyAverage').textContent = 
+            `${loadStats.dailyAverageKwh.toFixed(1)} kWh per day | Average ${loadStats.averageLoadKw.toFixed(2)} kW`;
+        document.getElementById('loadBase').textContent = `${loadStats.baseLoadKw.toFixed(2)} kW`;
+        document.getElementById('loadEveningPeak').textContent = `${loadStats.eveningPeakKw.toFixed(2)} kW`;
+        document.getElementById('loadEveningPeakHour').textContent = 
+            `Average load at ${String(loadStats.eveningPeakHour).padStart(2, '0')}:00`;
+        document.getElementById('loadCoverage').textContent = 
+            `${coverage.solarPercent.toFixed(0)}% / ${coverage.batteryPercent.toFixed(0)}% / ${coverage.gridPercent.toFixed(0)}%`;
+        document.getElementById('loadCoverageDetail').textContent = 
+            `${this.formatNumber(coverage.solarKwh, 0)} kWh | ${this.formatNumber(coverage.batteryKwh, 0)} kWh | ${this.formatNumber(coverage.gridKwh, 0)} kWh`;
+
+        document.getElementById('loadSection').style.display = 'block';
+        Visualizer.renderLoadProfileChart(loadStats);
+    },
+
     /**
      * Display simulation results in KPI cards
+     * @param {Object} metrics - Greedy simulation metrics
+     * @param {Object|null} optimalMetrics - Perfect-foresight benchmark metrics (optional)
      */
-    displaySimulationResults(metrics) {
+    displaySimulationResults(metrics, optimalMetrics = null, benchmarkUnsupported = []) {
         const { before, after, improvements, financials } = metrics;
 
         // Update energy KPI cards
@@ -877,11 +1695,137 @@ const App = {
             : 0;
         document.getElementById('kpiLossPercent').textContent = 
             `${lossPercent.toFixed(1)}%`;
+        document.getElementById('kpiLossBreakdown').textContent = 
+            `Inverter ${after.inverterLosses.toFixed(1)} kWh | Battery ${(after.batteryLosses - after.inverterLosses).toFixed(1)} kWh`;
+
+        // Idle losses: self-discharge of stored energy and inverter/BMS standby draw
+        document.getElementById('kpiIdleLosses').textContent = 
+            `${(after.selfDischargeLosses + after.standbyLosses).toFixed(1)} kWh`;
+        document.getElementById('kpiIdleLossBreakdown').textContent = 
+            `Self-discharge ${after.selfDischargeLosses.toFixed(1)} kWh | Standby ${after.standbyLosses.toFixed(1)} kWh`;
+
+        // Curtailment card (export limit only)
+        const curtailmentCard = document.getElementById('kpiCurtailmentCard');
+        if (BatterySimulation.config.exportLimitKw !== null) {
+            document.getElementById('kpiCurtailment').textContent = 
+                `${this.formatNumber(after.curtailedEnergy, 1)} kWh`;
+            document.getElementById('kpiCurtailmentRecovered').textContent = 
+                `Without battery: ${this.formatNumber(before.curtailedEnergy, 1)} kWh | ` +
+                `Recovered: ${this.formatNumber(improvements.curtailmentRecovered, 1)} kWh`;
+            curtailmentCard.style.display = 'block';
+        } else {
+            curtailmentCard.style.display = 'none';
+        }
+
+        // Hypothetical PV size card (scaled production only)
+        const pvResizeCard = document.getElementById('kpiPvResizeCard');
+        if (BatterySimulation.config.pvScaleFactor !== 1) {
+            document.getElementById('kpiPvResize').textContent = `×${BatterySimulation.config.pvScaleFactor.toFixed(2)}`;
+            document.getElementById('kpiPvResizeDetail').textContent = 
+                `Solar production: ${this.formatNumber(before.solarProduction, 0)} kWh | ` +
+                `Import without battery: ${this.formatNumber(before.gridImport, 0)} kWh`;
+            pvResizeCard.style.display = 'block';
+        } else {
+            pvResizeCard.style.display = 'none';
+        }
+
+        // Load scenario card (added EV / heat pump load only)
+        const loadScenarioCard = document.getElementById('kpiLoadScenarioCard');
+        if (BatterySimulation.config.loadScenario) {
+            const evSurplusPercent = before.evLoad > 0 ? (before.evSurplusLoad / before.evLoad) * 100 : 0;
+            document.getElementById('kpiLoadScenario').textContent = 
+                `${this.formatNumber(before.evLoad + before.heatPumpLoad, 0)} kWh`;
+            document.getElementById('kpiLoadScenarioDetail').textContent = 
+                `EV ${this.formatNumber(before.evLoad, 0)} kWh (${evSurplusPercent.toFixed(0)}% from surplus PV) | ` +
+                `Heat pump ${this.formatNumber(before.heatPumpLoad, 0)} kWh`;
+            loadScenarioCard.style.display = 'block';
+        } else {
+            loadScenarioCard.style.display = 'none';
+        }
+
+        // Inverter clipping card (DC-coupled hybrid with a rating only)
+        const clippingCard = document.getElementById('kpiInverterClippingCard');
+        if (BatterySimulation.config.inverterCoupling === 'dc' && BatterySimulation.config.inverterRatingKva !== null) {
+            document.getElementById('kpiInverterClipping').textContent = 
+                `${this.formatNumber(after.inverterClippedEnergy, 1)} kWh`;
+            document.getElementById('kpiInverterClippingStored').textContent = 
+                `Clipped PV stored by DC battery: ${this.formatNumber(after.clippedPvStored, 1)} kWh`;
+            clippingCard.style.display = 'block';
+        } else {
+            clippingCard.style.display = 'none';
+        }
+
+        document.getElementById('kpiThroughput').textContent = 
+            `${this.formatNumber(after.throughputKwh, 1)} kWh`;
+        document.getElementById('kpiEquivalentCycles').textContent = 
+            `${after.equivalentFullCycles.toFixed(1)} equivalent full cycles`;
+
+        // State of health card (degradation model only)
+        const sohCard = document.getElementById('kpiSohCard');
+        if (metrics.degradation) {
+            const degradation = metrics.degradation;
+            document.getElementById('kpiSoh').textContent = 
+                `${degradation.finalSohPercent.toFixed(1)}% (${degradation.finalCapacityKwh.toFixed(1)} kWh)`;
+
+            let endOfLifeText;
+            if (degradation.endOfLifeTimestamp) {
+                endOfLifeText = `End of life reached: ${new Date(degradation.endOfLifeTimestamp).toLocaleDateString()}`;
+            } else if (degradation.projectedLifeYears !== null) {
+                endOfLifeText = `End of life (${degradation.endOfLifeSohPercent}%) after ~${degradation.projectedLifeYears.toFixed(1)} years`;
+            } else {
+                endOfLifeText = 'End of life: --';
+            }
+            document.getElementById('kpiEndOfLife').textContent = endOfLifeText;
+            sohCard.style.display = 'block';
+        } else {
+            sohCard.style.display = 'none';
+        }
 
         // Update financial KPI cards
         const currencySymbol = financials.currency === 'HUF' ? 'Ft' : '€';
         const decimals = financials.currency === 'HUF' ? 0 : 2;
 
+        // Peak import card: highest monthly peak (peak shaving or demand charge only)
+        const peakCard = document.getElementById('kpiPeakImportCard');
+        const config = BatterySimulation.config;
+        if (config.dispatchStrategy === 'peak-shaving' || config.demandChargePerKw > 0) {
+            const peakBeforeKw = metrics.monthlyPeaks.reduce((max, month) => Math.max(max, month.peakBeforeKw), 0);
+            const peakAfterKw = metrics.monthlyPeaks.reduce((max, month) => Math.max(max, month.peakAfterKw), 0);
+            document.getElementById('kpiPeakImport').textContent = 
+                `${peakBeforeKw.toFixed(1)} → ${peakAfterKw.toFixed(1)} kW`;
+            document.getElementById('kpiPeakReduction').textContent = peakBeforeKw > 0
+                ? `Highest monthly peak -${((peakBeforeKw - peakAfterKw) / peakBeforeKw * 100).toFixed(1)}%`
+                : 'Highest monthly peak';
+            peakCard.style.display = 'block';
+        } else {
+            peakCard.style.display = 'none';
+        }
+
+        // Demand charge card (only when a demand charge is set)
+        const demandChargeCard = document.getElementById('kpiDemandChargeCard');
+        if (config.demandChargePerKw > 0) {
+            document.getElementById('kpiDemandCharge').textContent = 
+                `${this.formatNumber(financials.demandChargeBattery, decimals)} ${currencySymbol}`;
+            document.getElementById('kpiDemandChargeSavings').textContent = 
+                `Without battery: ${this.formatNumber(financials.demandChargeBaseline, decimals)} ${currencySymbol} | ` +
+                `Saved: ${this.formatNumber(financials.demandChargeBaseline - financials.demandChargeBattery, decimals)} ${currencySymbol}`;
+            demandChargeCard.style.display = 'block';
+        } else {
+            demandChargeCard.style.display = 'none';
+        }
+
+        // Grid charging card (arbitrage strategy only)
+        const gridChargeCard = document.getElementById('kpiGridChargeCard');
+        if (financials.arbitrageProfit !== undefined) {
+            document.getElementById('kpiGridCharge').textContent = 
+                `${after.gridChargeEnergy.toFixed(1)} kWh`;
+            document.getElementById('kpiArbitrageProfit').textContent = 
+                `Arbitrage profit vs self-consumption: ${this.formatNumber(financials.arbitrageProfit, decimals)} ${currencySymbol}`;
+            gridChargeCard.style.display = 'block';
+        } else {
+            gridChargeCard.style.display = 'none';
+        }
+
         document.getElementById('kpiBaselineCost').textContent = 
             `${this.formatNumber(financials.baselineCost, decimals)} ${currencySymbol}`;
         
@@ -892,10 +1836,36 @@ const App = {
             `${this.formatNumber(financials.totalSavings, decimals)} ${currencySymbol}`;
         document.getElementById('kpiSavingsPercent').textContent = 
             `${financials.savingsPercent.toFixed(1)}%`;
+
+        // Optimal benchmark card: share of the optimal savings captured by the greedy dispatch
+        const optimalCard = document.getElementById('kpiOptimalSavingsCard');
+        if (optimalMetrics) {
+            const optimalSavings = optimalMetrics.financials.totalSavings;
+            const capturedPercent = optimalSavings > 0 
+                ? (financials.totalSavings / optimalSavings * 100) 
+                : 100;
+            document.getElementById('kpiOptimalSavings').textContent = 
+                `${this.formatNumber(optimalSavings, decimals)} ${currencySymbol}`;
+            document.getElementById('kpiOptimalGap').textContent = 
+                `Gap: ${this.formatNumber(optimalSavings - financials.totalSavings, decimals)} ${currencySymbol} ` +
+                `(greedy captures ${capturedPercent.toFixed(1)}%)`;
+            optimalCard.style.display = 'block';
+        } else if (benchmarkUnsupported.length > 0) {
+            document.getElementById('kpiOptimalSavings').textContent = '--';
+            document.getElementById('kpiOptimalGap').textContent = 
+                `Not available with ${benchmarkUnsupported.join(', ')}`;
+            optimalCard.style.display = 'block';
+        } else {
+            optimalCard.style.display = 'none';
+        }
         
-        // Display tier1 limit information
+        // Display tier1 limit information (or active TOU schedule)
         const tier1LimitEl = document.getElementById('tier1LimitInfo');
-        if (tier1LimitEl && financials.proportionalTier1Limit !== undefined) {
+        if (tier1LimitEl && financials.tariffMode === 'tou') {
+            tier1LimitEl.textContent = 
+                `Time-of-Use tariff: ${financials.touPeriodCount} periods + base price | ` +
+                `Időszakos tarifa: ${financials.touPeriodCount} időszak + alapár`;
+        } else if (tier1LimitEl && financials.proportionalTier1Limit !== undefined) {
             const limitFormatted = this.formatNumber(financials.proportionalTier1Limit, 0);
             const daysFormatted = Math.round(financials.durationDays);
             tier1LimitEl.textContent = 
@@ -1194,8 +2164,14 @@ const App = {
 
     /**
      * Run battery optimization curve across multiple capacity values
+     * Simulations run in parallel on the worker pool (see WorkerPool)
      */
-    runOptimizationCurve() {
+    async runOptimizationCurve() {
+        if (WorkerPool.isRunning()) {
+            alert('An optimization is already running. Wait for it to finish or cancel it first.');
+            return;
+        }
+
         try {
             // 1. Validate prerequisites
             if (!this.simulationStartDate || !this.simulationEndDate) {
@@ -1221,7 +2197,18 @@ const App = {
                 return;
             }
 
-            // 3. Show progress container and disable button
+            // 3. Read fixed configuration (capacity is overridden per point)
+            const fixedConfig = this.readBatteryConfig();
+            if (!fixedConfig) return;
+
+            // Investment inputs add NPV and payback per capacity (null = off)
+            const investment = this.readInvestmentConfig();
+            if (investment === false) return;
+
+            const sweep = this.readCapacitySweep();
+            if (!sweep) return;
+
+            // 4. Show progress container and disable button
             const btn = document.getElementById('btnRunOptimizationCurve');
             const progressContainer = document.getElementById('optimizationProgressContainer');
             
@@ -1229,92 +2216,316 @@ const App = {
             btn.textContent = '⏳ Calculating...';
             progressContainer.style.display = 'block';
 
-            // 4. Read fixed configuration (everything except capacity)
-            const fixedConfig = {
-                chargeEfficiency: parseFloat(document.getElementById('chargeEfficiency').value) / 100,
-                dischargeEfficiency: parseFloat(document.getElementById('dischargeEfficiency').value) / 100,
-                maxChargeRateKw: parseFloat(document.getElementById('maxChargeRate').value),
-                maxDischargeRateKw: parseFloat(document.getElementById('maxDischargeRate').value),
-                minSocPercent: parseFloat(document.getElementById('minSoc').value),
-                maxSocPercent: parseFloat(document.getElementById('maxSoc').value),
-                inverterMode: document.getElementById('inverterMode').value,
-                currency: document.getElementById('currency').value
-            };
-
-            // 5. Define capacity points
-            const capacityPoints = [0, 1, 2, 5, 10, 15, 20, 40, 50, 100, 200];
+            // 5. Capacity points: preset, user range or the initial points of an adaptive sweep
+            const totalRuns = sweep.adaptive ? Math.max(sweep.maxRuns, sweep.points.length) : sweep.points.length;
             const results = [];
 
-            // 6. Run simulations sequentially with progress updates
-            let currentIndex = 0;
-
-            const runNextSimulation = () => {
-                if (currentIndex >= capacityPoints.length) {
-                    // All simulations complete
-                    this.optimizationResults = results;
-                    this.renderOptimizationCurve(results, this.optimizationMetricType);
-                    
-                    // Show results section
-                    const section = document.getElementById('optimizationCurveSection');
-                    section.style.display = 'block';
-                    section.scrollIntoView({ behavior: 'smooth' });
-
-                    // Reset button and hide progress
-                    btn.disabled = false;
-                    btn.textContent = '📊 Calculate Battery Optimization Curve';
-                    progressContainer.style.display = 'none';
-                    
-                    return;
-                }
+            WorkerPool.start(filteredData);
+            this.updateOptimizationProgress(0, totalRuns);
+
+            // 6. Run simulations on the worker pool with progress updates
+            const simulatePoints = capacities => Promise.all(capacities.map(capacity =>
+                WorkerPool.simulate({ ...fixedConfig, capacityKwh: capacity }).then(metrics => {
+                    // Investment economics of this size (investment inputs only)
+                    const economics = investment
+                        ? InvestmentAnalysis.analyze(metrics, capacity, investment, Math.max(fixedConfig.maxChargeRateKw, fixedConfig.maxDischargeRateKw))
+                        : null;
+                    const durationDays = metrics.financials.durationDays || 365;
+
+                    // Store results
+                    results.push({
+                        capacityKwh: capacity,
+                        gridImportReductionPercent: metrics.improvements.gridImportReductionPercent || 0,
+                        gridExportReductionPercent: metrics.improvements.gridExportReductionPercent || 0,
+                        gridImportReduction: metrics.improvements.gridImportReduction || 0,
+                        gridExportReduction: metrics.improvements.gridExportReduction || 0,
+                        totalSavings: metrics.financials.totalSavings || 0,
+                        annualSavings: (metrics.financials.totalSavings || 0) * 365 / durationDays,
+                        savingsPercent: metrics.financials.savingsPercent || 0,
+                        currency: metrics.financials.currency,
+                        baselineCost: metrics.financials.baselineCost || 0,
+                        batteryCost: metrics.financials.batteryCost || 0,
+                        batteryLosses: metrics.after.batteryLosses || 0,
+                        selfDischargeLosses: metrics.after.selfDischargeLosses || 0,
+                        standbyLosses: metrics.after.standbyLosses || 0,
+                        npv: economics ? economics.npv : null,
+                        irr: economics ? economics.irr : null,
+                        simplePaybackYears: economics ? economics.simplePaybackYears : null,
+                        discountedPaybackYears: economics ? economics.discountedPaybackYears : null
+                    });
+
+                    this.updateOptimizationProgress(results.length, Math.max(totalRuns, results.length));
+                })
+            ));
+
+            await simulatePoints(sweep.points);
+
+            // Adaptive sweep: refine around the knee, one batch of new points per round
+            // (at least as many points as simulations run at once, so every worker stays busy)
+            while (sweep.adaptive && results.length < totalRuns) {
+                const batchSize = Math.min(Math.max(2, WorkerPool.getConcurrency()), totalRuns - results.length);
+                const newPoints = CapacitySweep.refine(results, batchSize, sweep.minStepKwh);
+                if (newPoints.length === 0) break;
+                await simulatePoints(newPoints);
+            }
+            WorkerPool.stop();
+
+            // 7. All simulations complete: marginal savings and the economically optimal size
+            results.sort((a, b) => a.capacityKwh - b.capacityKwh);
+            const marginalSavings = InvestmentAnalysis.calculateMarginalSavings(results);
+            results.forEach((result, i) => { result.marginalSavingsPerKwh = marginalSavings[i]; });
+            const economicOptimum = InvestmentAnalysis.findEconomicOptimum(results);
+            results.forEach(result => { result.isEconomicOptimum = result === economicOptimum; });
+
+            this.optimizationResults = results;
+            this.updateOptimizationMetricButtons(investment !== null);
+            this.renderOptimizationCurve(results, this.optimizationMetricType);
+            
+            // Show results section
+            const section = document.getElementById('optimizationCurveSection');
+            section.style.display = 'block';
+            section.scrollIntoView({ behavior: 'smooth' });
 
-                const capacity = capacityPoints[currentIndex];
+            // Reset button and hide progress
+            btn.disabled = false;
+            btn.textContent = '📊 Calculate Battery Optimization Curve';
+            progressContainer.style.display = 'none';
 
-                // Update config with current capacity
-                BatterySimulation.setConfig({
-                    ...fixedConfig,
-                    capacityKwh: capacity
-                });
+        } catch (error) {
+            WorkerPool.stop();
+            if (!WorkerPool.cancelled) {
+                console.error('Optimization curve calculation failed:', error);
+                alert(`Error: ${error.message}`);
+            }
+            
+            // Reset UI state
+            const btn = document.getElementById('btnRunOptimizationCurve');
+            btn.disabled = false;
+            btn.textContent = '📊 Calculate Battery Optimization Curve';
+            document.getElementById('optimizationProgressContainer').style.display = 'none';
+        }
+    },
 
-                // Run simulation
-                const simResult = BatterySimulation.simulate(filteredData);
+    /**
+     * Run a 2D sweep over battery capacity and power (max. charge/discharge rate)
+     * Simulations run in parallel on the worker pool (see WorkerPool)
+     */
+    async runOptimizationHeatmap() {
+        if (WorkerPool.isRunning()) {
+            alert('An optimization is already running. Wait for it to finish or cancel it first.');
+            return;
+        }
 
-                // Store results
-                results.push({
-                    capacityKwh: capacity,
-                    gridImportReductionPercent: simResult.metrics.improvements.gridImportReductionPercent || 0,
-                    gridExportReductionPercent: simResult.metrics.improvements.gridExportReductionPercent || 0,
-                    gridImportReduction: simResult.metrics.improvements.gridImportReduction || 0,
-                    gridExportReduction: simResult.metrics.improvements.gridExportReduction || 0,
-                    totalSavings: simResult.metrics.financials.totalSavings || 0,
-                    savingsPercent: simResult.metrics.financials.savingsPercent || 0,
-                    currency: simResult.metrics.financials.currency,
-                    baselineCost: simResult.metrics.financials.baselineCost || 0,
-                    batteryCost: simResult.metrics.financials.batteryCost || 0
-                });
+        const btn = document.getElementById('btnRunOptimizationHeatmap');
+        const progressContainer = document.getElementById('optimizationProgressContainer');
+        const resetUi = () => {
+            btn.disabled = false;
+            btn.textContent = '🗺️ Calculate Capacity × Power Heatmap';
+            progressContainer.style.display = 'none';
+        };
+
+        try {
+            if (!this.simulationStartDate || !this.simulationEndDate) {
+                alert('Please select a time range and click "Apply Range for Simulation" first');
+                return;
+            }
 
-                // Update progress
-                currentIndex++;
-                this.updateOptimizationProgress(currentIndex, capacityPoints.length);
+            if (!this.mergedData || this.mergedData.length === 0) {
+                alert('Please load data files first');
+                return;
+            }
+
+            const startMs = new Date(this.simulationStartDate).getTime();
+            const endMs = new Date(this.simulationEndDate).getTime();
+            const filteredData = this.mergedData.filter(row => {
+                return row.timestampMs >= startMs && row.timestampMs <= endMs;
+            });
+
+            if (filteredData.length === 0) {
+                alert('No data in selected simulation range');
+                return;
+            }
+
+            // Fixed configuration (capacity and power are overridden per cell)
+            const fixedConfig = this.readBatteryConfig();
+            if (!fixedConfig) return;
+
+            const investment = this.readInvestmentConfig();
+            if (investment === false) return;
+
+            // Capacities of the preset / range sweep (the heatmap does not refine adaptively)
+            const sweep = this.readCapacitySweep();
+            if (!sweep) return;
+            const capacities = sweep.points;
+
+            const powers = CapacitySweep.buildRange(
+                parseFloat(document.getElementById('heatmapPowerFrom').value),
+                parseFloat(document.getElementById('heatmapPowerTo').value),
+                parseFloat(document.getElementById('heatmapPowerStep').value)
+            );
+            if (!powers || powers[0] <= 0) {
+                alert('Invalid heatmap power range. "From" must be greater than 0, "To" greater than "From" and the step greater than 0.');
+                return;
+            }
+            if (capacities.length * powers.length > CapacitySweep.maxPoints) {
+                alert(`Too many heatmap cells (${capacities.length} capacities × ${powers.length} powers). Use at most ${CapacitySweep.maxPoints} simulations.`);
+                return;
+            }
+
+            btn.disabled = true;
+            btn.textContent = '⏳ Calculating...';
+            progressContainer.style.display = 'block';
+
+            const cells = [];
+            const totalRuns = capacities.length * powers.length;
 
-                // Schedule next simulation (allows UI to update)
-                setTimeout(runNextSimulation, 10);
+            WorkerPool.start(filteredData);
+            this.updateOptimizationProgress(0, totalRuns);
+
+            await Promise.all(powers.flatMap(power => capacities.map(capacity =>
+                // Power is the battery (inverter) rating: charge and discharge limits, and the
+                // inverter nameplate when one is configured
+                WorkerPool.simulate({
+                    ...fixedConfig,
+                    capacityKwh: capacity,
+                    maxChargeRateKw: power,
+                    maxDischargeRateKw: power,
+                    inverterRatingKva: fixedConfig.inverterRatingKva !== null ? power : null
+                }).then(metrics => {
+                    const financials = metrics.financials;
+                    const economics = investment
+                        ? InvestmentAnalysis.analyze(metrics, capacity, investment, power)
+                        : null;
+
+                    cells.push({
+                        capacityKwh: capacity,
+                        powerKw: power,
+                        gridImportReductionPercent: metrics.improvements.gridImportReductionPercent || 0,
+                        totalSavings: financials.totalSavings || 0,
+                        annualSavings: (financials.totalSavings || 0) * 365 / (financials.durationDays || 365),
+                        npv: economics ? economics.npv : null,
+                        irr: economics ? economics.irr : null,
+                        simplePaybackYears: economics ? economics.simplePaybackYears : null,
+                        discountedPaybackYears: economics ? economics.discountedPaybackYears : null
+                    });
+                    this.updateOptimizationProgress(cells.length, totalRuns);
+                })
+            )));
+            WorkerPool.stop();
+
+            // Cells finish in any order: sort by power, then capacity (CSV row order)
+            cells.sort((a, b) => a.powerKw - b.powerKw || a.capacityKwh - b.capacityKwh);
+            this.heatmapResults = {
+                capacities: capacities,
+                powers: powers,
+                cells: cells,
+                currency: fixedConfig.currency,
+                hasEconomics: investment !== null
             };
+            document.getElementById('btnHeatmapNpv').style.display = investment ? '' : 'none';
+            this.toggleHeatmapMetric(investment ? this.heatmapMetricType : 'savings');
 
-            // Start first simulation
-            runNextSimulation();
+            const section = document.getElementById('heatmapSection');
+            section.style.display = 'block';
+            section.scrollIntoView({ behavior: 'smooth' });
+            resetUi();
 
         } catch (error) {
-            console.error('Optimization curve calculation failed:', error);
-            alert(`Error: ${error.message}`);
-            
-            // Reset UI state
-            const btn = document.getElementById('btnRunOptimizationCurve');
-            btn.disabled = false;
-            btn.textContent = '📊 Calculate Battery Optimization Curve';
-            document.getElementById('optimizationProgressContainer').style.display = 'none';
+            WorkerPool.stop();
+            if (!WorkerPool.cancelled) {
+                console.error('Heatmap calculation failed:', error);
+                alert(`Error: ${error.message}`);
+            }
+            resetUi();
+        }
+    },
+
+    /**
+     * Toggle between the savings and NPV heatmap
+     * @param {string} metricType - 'savings' or 'npv'
+     */
+    toggleHeatmapMetric(metricType) {
+        this.heatmapMetricType = metricType;
+        document.getElementById('btnHeatmapSavings').classList.toggle('active', metricType === 'savings');
+        document.getElementById('btnHeatmapNpv').classList.toggle('active', metricType === 'npv');
+
+        if (this.heatmapResults) {
+            Visualizer.renderOptimizationHeatmap(this.heatmapResults, metricType);
         }
     },
 
+    /**
+     * Export heatmap cells as CSV (one row per capacity and power)
+     */
+    exportHeatmapCSV() {
+        if (!this.heatmapResults || this.heatmapResults.cells.length === 0) {
+            alert('No heatmap data to export');
+            return;
+        }
+
+        const { cells, currency } = this.heatmapResults;
+        const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
+        const decimals = currency === 'HUF' ? 0 : 2;
+        const optional = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+
+        let csv = 'Battery Capacity (kWh),Battery Power (kW),Grid Import Reduction (%),Total Savings (' + currencySymbol + '),Annual Savings (' + currencySymbol + '),' +
+            'NPV (' + currencySymbol + '),IRR (%),Simple Payback (years),Discounted Payback (years)\n';
+
+        cells.forEach(c => {
+            csv += `${c.capacityKwh},${c.powerKw},${c.gridImportReductionPercent.toFixed(2)},${c.totalSavings.toFixed(decimals)},${c.annualSavings.toFixed(decimals)},` +
+                `${optional(c.npv, decimals)},${optional(c.irr, 2)},${optional(c.simplePaybackYears, 2)},${optional(c.discountedPaybackYears, 2)}\n`;
+        });
+
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+
+        const timestamp = new Date().toISOString().slice(0, 10);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `battery_capacity_power_heatmap_${timestamp}.csv`);
+        link.style.visibility = 'hidden';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    },
+
+    /**
+     * Read the capacity points of the optimization curve from UI
+     * @returns {Object|null} { points, adaptive, maxRuns, minStepKwh }, null if the input is invalid
+     */
+    readCapacitySweep() {
+        const sweepMode = document.getElementById('sweepMode').value;
+        if (sweepMode === 'preset') {
+            return { points: CapacitySweep.presetPoints, adaptive: false, maxRuns: 0, minStepKwh: 0 };
+        }
+
+        const stepKwh = parseFloat(document.getElementById('sweepStep').value);
+        const points = CapacitySweep.buildRange(
+            parseFloat(document.getElementById('sweepFrom').value),
+            parseFloat(document.getElementById('sweepTo').value),
+            stepKwh
+        );
+        if (!points) {
+            alert(`Invalid capacity range. "From" must be 0 or more, "To" greater than "From" and the step greater than 0, with at most ${CapacitySweep.maxPoints} points.`);
+            return null;
+        }
+
+        const adaptive = sweepMode === 'adaptive';
+        const maxRuns = parseInt(document.getElementById('sweepMaxRuns').value, 10);
+        if (adaptive && !(maxRuns >= 3 && maxRuns <= CapacitySweep.maxPoints)) {
+            alert(`Invalid simulation budget. Use 3-${CapacitySweep.maxPoints} simulations.`);
+            return null;
+        }
+
+        return {
+            points: points,
+            adaptive: adaptive,
+            maxRuns: adaptive ? maxRuns : points.length,
+            minStepKwh: stepKwh / CapacitySweep.refinementDepth
+        };
+    },
+
     /**
      * Update progress bar during optimization calculation
      */
@@ -1322,10 +2533,11 @@ const App = {
         const percent = Math.round((current / total) * 100);
         const progressBar = document.getElementById('optimizationProgressBar');
         const progressText = document.getElementById('optimizationProgressText');
+        const workers = WorkerPool.getConcurrency();
 
         if (progressBar && progressText) {
             progressBar.style.width = `${percent}%`;
-            progressText.textContent = `Calculating: ${current}/${total} simulations (${percent}%)`;
+            progressText.textContent = `Calculating: ${current}/${total} simulations (${percent}%) - ${workers} ${workers === 1 ? 'worker' : 'workers'}`;
         }
     },
 
@@ -1338,22 +2550,33 @@ const App = {
     },
 
     /**
-     * Toggle between Import and Export metric views
+     * Show the NPV / payback views only when the curve has investment data
+     * @param {boolean} hasEconomics - Curve was calculated with investment inputs
+     */
+    updateOptimizationMetricButtons(hasEconomics) {
+        document.getElementById('btnOptimCurveNpv').style.display = hasEconomics ? '' : 'none';
+        document.getElementById('btnOptimCurvePayback').style.display = hasEconomics ? '' : 'none';
+        if (!hasEconomics && (this.optimizationMetricType === 'npv' || this.optimizationMetricType === 'payback')) {
+            this.toggleOptimizationMetric('import');
+        }
+    },
+
+    /**
+     * Toggle between Import, Export, NPV and Payback metric views
      */
     toggleOptimizationMetric(metricType) {
         this.optimizationMetricType = metricType;
 
         // Update button styles
-        const importBtn = document.getElementById('btnOptimCurveImport');
-        const exportBtn = document.getElementById('btnOptimCurveExport');
-
-        if (metricType === 'import') {
-            importBtn.classList.add('active');
-            exportBtn.classList.remove('active');
-        } else {
-            exportBtn.classList.add('active');
-            importBtn.classList.remove('active');
-        }
+        const buttons = {
+            import: document.getElementById('btnOptimCurveImport'),
+            export: document.getElementById('btnOptimCurveExport'),
+            npv: document.getElementById('btnOptimCurveNpv'),
+            payback: document.getElementById('btnOptimCurvePayback')
+        };
+        Object.keys(buttons).forEach(key => {
+            buttons[key].classList.toggle('active', key === metricType);
+        });
 
         // Re-render chart if results exist
         if (this.optimizationResults) {
@@ -1374,11 +2597,16 @@ const App = {
         const currency = results[0].currency;
         const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
 
+        const decimals = currency === 'HUF' ? 0 : 2;
+        const optional = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+
         // Build CSV content
-        let csv = 'Battery Capacity (kWh),Grid Import Reduction (%),Grid Import Reduction (kWh),Grid Export Reduction (%),Grid Export Reduction (kWh),Total Savings (' + currencySymbol + '),Savings (%),Baseline Cost (' + currencySymbol + '),Battery Cost (' + currencySymbol + ')\n';
+        let csv = 'Battery Capacity (kWh),Grid Import Reduction (%),Grid Import Reduction (kWh),Grid Export Reduction (%),Grid Export Reduction (kWh),Total Savings (' + currencySymbol + '),Savings (%),Baseline Cost (' + currencySymbol + '),Battery Cost (' + currencySymbol + '),Battery Losses (kWh),Self-Discharge Losses (kWh),Standby Losses (kWh),' +
+            'Annual Savings (' + currencySymbol + '),Marginal Annual Savings (' + currencySymbol + '/kWh),NPV (' + currencySymbol + '),IRR (%),Simple Payback (years),Discounted Payback (years),Economic Optimum\n';
 
         results.forEach(r => {
-            csv += `${r.capacityKwh},${r.gridImportReductionPercent.toFixed(2)},${r.gridImportReduction.toFixed(2)},${r.gridExportReductionPercent.toFixed(2)},${r.gridExportReduction.toFixed(2)},${r.totalSavings.toFixed(currency === 'HUF' ? 0 : 2)},${r.savingsPercent.toFixed(2)},${r.baselineCost.toFixed(currency === 'HUF' ? 0 : 2)},${r.batteryCost.toFixed(currency === 'HUF' ? 0 : 2)}\n`;
+            csv += `${r.capacityKwh},${r.gridImportReductionPercent.toFixed(2)},${r.gridImportReduction.toFixed(2)},${r.gridExportReductionPercent.toFixed(2)},${r.gridExportReduction.toFixed(2)},${r.totalSavings.toFixed(decimals)},${r.savingsPercent.toFixed(2)},${r.baselineCost.toFixed(decimals)},${r.batteryCost.toFixed(decimals)},${r.batteryLosses.toFixed(2)},${r.selfDischargeLosses.toFixed(2)},${r.standbyLosses.toFixed(2)},` +
+                `${r.annualSavings.toFixed(decimals)},${optional(r.marginalSavingsPerKwh, 2)},${optional(r.npv, decimals)},${optional(r.irr, 2)},${optional(r.simplePaybackYears, 2)},${optional(r.discountedPaybackYears, 2)},${r.isEconomicOptimum ? 'yes' : ''}\n`;
         });
 
         // Create download link
@@ -0,0 +1,96 @@
+/**
+ * Capacity Sweep Module
+ * Capacity points for the battery optimization curve: the default preset, a user range with a
+ * fixed step, or an adaptive sweep that starts from the range and keeps adding midpoints around
+ * the point where the savings per added kWh changes fastest (the knee of the curve).
+ */
+const CapacitySweep = {
+    /**
+     * Default capacity points (kWh)
+     */
+    presetPoints: [0, 1, 2, 5, 10, 15, 20, 40, 50, 100, 200],
+
+    /**
+     * Upper limit of simulations per sweep (keeps the UI responsive)
+     */
+    maxPoints: 200,
+
+    /**
+     * Adaptive refinement stops splitting segments narrower than step / refinementDepth
+     */
+    refinementDepth: 8,
+
+    /**
+     * Capacity points from a range and step, the end of the range included
+     * @param {number} fromKwh - First capacity
+     * @param {number} toKwh - Last capacity
+     * @param {number} stepKwh - Distance between points
+     * @returns {Array<number>|null} Capacities, null if the range is invalid or has too many points
+     */
+    buildRange(fromKwh, toKwh, stepKwh) {
+        const isValid = fromKwh >= 0 && toKwh > fromKwh && stepKwh > 0;
+        if (!isValid || (toKwh - fromKwh) / stepKwh + 1 > this.maxPoints) return null;
+
+        const points = [];
+        for (let i = 0; fromKwh + i * stepKwh < toKwh - 1e-9; i++) {
+            points.push(this.roundCapacity(fromKwh + i * stepKwh));
+        }
+        points.push(this.roundCapacity(toKwh));
+        return points;
+    },
+
+    /**
+     * Round a capacity to 0.1 kWh (avoids floating point noise in labels and duplicates)
+     */
+    roundCapacity(capacityKwh) {
+        return Math.round(capacityKwh * 10) / 10;
+    },
+
+    /**
+     * Next capacities for an adaptive sweep
+     * Interior points are ranked by how much the marginal savings (savings per added kWh) of the
+     * segments on their two sides differ; the segments around the sharpest knees are halved.
+     * A curve of just two points (e.g. From 0, To 10, Step 10) has its only segment halved first.
+     * @param {Array} curvePoints - Simulated points { capacityKwh, totalSavings }
+     * @param {number} maxNewPoints - Number of capacities to return at most
+     * @param {number} minStepKwh - Segments narrower than this are not split
+     * @returns {Array<number>} New capacities (empty when the curve is resolved)
+     */
+    refine(curvePoints, maxNewPoints, minStepKwh) {
+        const sorted = [...curvePoints].sort((a, b) => a.capacityKwh - b.capacityKwh);
+        const slopes = sorted.slice(1).map((point, i) =>
+            (point.totalSavings - sorted[i].totalSavings) / (point.capacityKwh - sorted[i].capacityKwh)
+        );
+
+        // Knee strength of each interior point: change of slope across it
+        const knees = [];
+        for (let i = 1; i < sorted.length - 1; i++) {
+            knees.push({ index: i, change: Math.abs(slopes[i] - slopes[i - 1]) });
+        }
+        knees.sort((a, b) => b.change - a.change);
+
+        const known = new Set(sorted.map(point => point.capacityKwh));
+        const newPoints = [];
+
+        // Two points and no knee to rank yet: halve the only segment
+        if (sorted.length === 2 && maxNewPoints > 0) {
+            const widthKwh = sorted[1].capacityKwh - sorted[0].capacityKwh;
+            const midpoint = this.roundCapacity((sorted[0].capacityKwh + sorted[1].capacityKwh) / 2);
+            if (widthKwh / 2 >= minStepKwh && !known.has(midpoint)) newPoints.push(midpoint);
+            return newPoints;
+        }
+
+        for (const knee of knees) {
+            // Halve the segment on each side of the knee
+            for (const [left, right] of [[knee.index - 1, knee.index], [knee.index, knee.index + 1]]) {
+                const widthKwh = sorted[right].capacityKwh - sorted[left].capacityKwh;
+                const midpoint = this.roundCapacity((sorted[left].capacityKwh + sorted[right].capacityKwh) / 2);
+                if (widthKwh / 2 < minStepKwh || known.has(midpoint) || newPoints.length >= maxNewPoints) continue;
+                known.add(midpoint);
+                newPoints.push(midpoint);
+            }
+            if (newPoints.length >= maxNewPoints) break;
+        }
+        return newPoints;
+    }
+};
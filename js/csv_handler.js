@@ -30,6 +30,8 @@ const CSVHandler = {
      * Processes data based on column index rather than header names.
      * Solar: Index 0 = Time, Index 1 = Production
      * Grid:  Index 0 = Time, Index 1 = Import, Index 2 = Export
+     * Grid (per phase): Index 0 = Time, Index 1-2 = L1 Import/Export,
+     *                   Index 3-4 = L2 Import/Export, Index 5-6 = L3 Import/Export
      */
     processDataset(text, type) {
         const delimiter = this.detectDelimiter(text.slice(0, 1000));
@@ -49,6 +51,14 @@ const CSVHandler = {
             if (type === 'solar') {
                 // Solar: Column 2 (Index 1) is Production
                 entry.productionKw = parseFloat(values[1]?.replace(',', '.') || 0);
+            } else if (type === 'grid' && values.length >= 7) {
+                // Per-phase grid: Import/Export pairs for L1, L2, L3; totals are the phase sums
+                entry.phases = [1, 3, 5].map(index => ({
+                    importKwh: parseFloat(values[index]?.replace(',', '.') || 0),
+                    exportKwh: parseFloat(values[index + 1]?.replace(',', '.') || 0)
+                }));
+                entry.importKwh = entry.phases.reduce((sum, phase) => sum + phase.importKwh, 0);
+                entry.exportKwh = entry.phases.reduce((sum, phase) => sum + phase.exportKwh, 0);
             } else if (type === 'grid') {
                 // Grid: Column 2 (Index 1) is Import, Column 3 (Index 2) is Export
                 entry.importKwh = parseFloat(values[1]?.replace(',', '.') || 0);
@@ -68,7 +78,7 @@ const CSVHandler = {
     /**
      * Validates CSV structure based on expected column count
      * @param {string} text - Raw CSV content
-     * @param {string} type - 'solar' (expects 2 columns) or 'grid' (expects 3 columns)
+     * @param {string} type - 'solar' (expects 2 columns) or 'grid' (expects 3, or 7 with per-phase L1/L2/L3 data)
      * @returns {Object} { valid: boolean, error: string|null }
      */
     validateStructure(text, type) {
@@ -80,12 +90,12 @@ const CSVHandler = {
         }
 
         const headerCols = lines[0].split(delimiter).length;
-        const expectedCols = type === 'solar' ? 2 : 3;
+        const expectedCols = type === 'solar' ? 2 : (headerCols === 7 ? 7 : 3);
 
         if (headerCols !== expectedCols) {
             return { 
                 valid: false, 
-                error: `Invalid ${type} CSV: Expected exactly ${expectedCols} columns, found ${headerCols}. ${type === 'solar' ? 'This looks like a Grid file.' : 'This looks like a Solar file.'}` 
+                error: `Invalid ${type} CSV: Expected exactly ${type === 'solar' ? '2' : '3 (or 7 per-phase)'} columns, found ${headerCols}. ${type === 'solar' ? 'This looks like a Grid file.' : 'This looks like a Solar file.'}` 
             };
         }
 
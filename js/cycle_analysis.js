@@ -0,0 +1,147 @@
+/**
+ * Cycle Analysis Module
+ * Rainflow cycle counting over the simulated SOC trace and cycle statistics
+ * (depth histogram, equivalent full cycles per day/month/year, average depth of discharge)
+ */
+const CycleAnalysis = {
+    // SOC changes smaller than this (in %) are treated as noise when finding reversals
+    hysteresisPercent: 0.5,
+
+    // Width of a cycle depth histogram bin (% SOC)
+    histogramBinPercent: 10,
+
+    /**
+     * Reduce a series to its turning points (peaks and valleys)
+     * @param {Array<number>} series - SOC values in %
+     * @returns {Array<number>} Reversal values
+     */
+    extractReversals(series) {
+        if (series.length === 0) return [];
+
+        const reversals = [series[0]];
+        let extreme = series[0];
+        let direction = 0; // 1 = rising, -1 = falling, 0 = not yet known
+
+        for (let i = 1; i < series.length; i++) {
+            const value = series[i];
+
+            if (direction === 0) {
+                if (Math.abs(value - reversals[0]) > this.hysteresisPercent) {
+                    direction = value > reversals[0] ? 1 : -1;
+                    extreme = value;
+                }
+            } else if (direction > 0) {
+                if (value > extreme) {
+                    extreme = value;
+                } else if (extreme - value > this.hysteresisPercent) {
+                    reversals.push(extreme);
+                    direction = -1;
+                    extreme = value;
+                }
+            } else {
+                if (value < extreme) {
+                    extreme = value;
+                } else if (value - extreme > this.hysteresisPercent) {
+                    reversals.push(extreme);
+                    direction = 1;
+                    extreme = value;
+                }
+            }
+        }
+
+        if (direction !== 0) {
+            reversals.push(extreme);
+        }
+
+        return reversals;
+    },
+
+    /**
+     * Rainflow counting (ASTM E1049 three-point method)
+     * @param {Array<number>} series - SOC values in %
+     * @returns {Array<Object>} Cycles: { depth, mean, count } where count is 1 (full) or 0.5 (half)
+     */
+    rainflow(series) {
+        const cycles = [];
+        const stack = [];
+
+        this.extractReversals(series).forEach(reversal => {
+            stack.push(reversal);
+
+            while (stack.length >= 3) {
+                const x = Math.abs(stack[stack.length - 1] - stack[stack.length - 2]);
+                const y = Math.abs(stack[stack.length - 2] - stack[stack.length - 3]);
+                if (x < y) break;
+
+                if (stack.length === 3) {
+                    // Range Y contains the starting point: count as half cycle
+                    cycles.push({ depth: y, mean: (stack[0] + stack[1]) / 2, count: 0.5 });
+                    stack.shift();
+                } else {
+                    // Full cycle, remove both points of range Y
+                    const a = stack[stack.length - 3];
+                    const b = stack[stack.length - 2];
+                    cycles.push({ depth: y, mean: (a + b) / 2, count: 1 });
+                    stack.splice(stack.length - 3, 2);
+                }
+            }
+        });
+
+        // Residual ranges are half cycles
+        for (let i = 0; i < stack.length - 1; i++) {
+            cycles.push({
+                depth: Math.abs(stack[i + 1] - stack[i]),
+                mean: (stack[i] + stack[i + 1]) / 2,
+                count: 0.5
+            });
+        }
+
+        return cycles;
+    },
+
+    /**
+     * Cycle statistics for a simulated series
+     * @param {Array} simulatedData - Output points of BatterySimulation.simulate
+     * @returns {Object} Cycle statistics
+     */
+    analyze(simulatedData) {
+        const cycles = this.rainflow(simulatedData.map(point => point.batterySocPercent || 0));
+
+        // Depth histogram (cycle counts per depth bin, half cycles count 0.5)
+        const binCount = Math.ceil(100 / this.histogramBinPercent);
+        const histogram = Array.from({ length: binCount }, (_, i) => ({
+            fromPercent: i * this.histogramBinPercent,
+            toPercent: (i + 1) * this.histogramBinPercent,
+            cycles: 0
+        }));
+
+        let cycleCount = 0;
+        let weightedDepth = 0;
+        cycles.forEach(cycle => {
+            const bin = Math.min(binCount - 1, Math.floor(cycle.depth / this.histogramBinPercent));
+            histogram[bin].cycles += cycle.count;
+            cycleCount += cycle.count;
+            weightedDepth += cycle.count * cycle.depth;
+        });
+
+        // One equivalent full cycle = 100% depth
+        const equivalentFullCycles = weightedDepth / 100;
+
+        // Duration of the series (last interval included)
+        const durationDays = simulatedData.length > 0
+            ? (simulatedData[simulatedData.length - 1].timestampMs - simulatedData[0].timestampMs) / (1000 * 60 * 60 * 24) + BatterySimulation.getIntervalHours() / 24
+            : 0;
+
+        return {
+            cycles,
+            histogram,
+            cycleCount,
+            equivalentFullCycles,
+            averageDepthPercent: cycleCount > 0 ? weightedDepth / cycleCount : 0,
+            durationDays,
+            cyclesPerDay: durationDays > 0 ? equivalentFullCycles / durationDays : 0,
+            cyclesPerMonth: durationDays > 0 ? equivalentFullCycles / durationDays * (365.25 / 12) : 0,
+            cyclesPerYear: durationDays > 0 ? equivalentFullCycles / durationDays * 365.25 : 0
+        };
+    }
+};
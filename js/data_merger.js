@@ -3,9 +3,30 @@
  * Responsible for synchronizing Solar and Grid datasets into a continuous timeline.
  */
 const DataMerger = {
+    /**
+     * Merge solar and grid data into one timeline
+     * Files with different resolutions are resampled to the coarser step first
+     * (e.g. 5-minute inverter logs next to an hourly utility export become hourly).
+     * @param {Array} solarData - Processed solar rows
+     * @param {Array} gridData - Processed grid rows
+     * @returns {Array} Merged rows sorted by timestamp
+     */
     mergeDatasets(solarData, gridData) {
         const masterMap = new Map();
 
+        // Common step: the coarser of the two files (finer data is summed/averaged, never interpolated)
+        const solarInterval = solarData.length > 1 ? this.detectIntervalMinutes(solarData) : 0;
+        const gridInterval = gridData.length > 1 ? this.detectIntervalMinutes(gridData) : 0;
+        const commonInterval = Math.max(solarInterval, gridInterval);
+        if (solarInterval > 0 && solarInterval < commonInterval) {
+            console.log(`Resampling solar data from ${solarInterval} to ${commonInterval} minutes`);
+            solarData = this.resampleDataset(solarData, 'solar', commonInterval);
+        }
+        if (gridInterval > 0 && gridInterval < commonInterval) {
+            console.log(`Resampling grid data from ${gridInterval} to ${commonInterval} minutes`);
+            gridData = this.resampleDataset(gridData, 'grid', commonInterval);
+        }
+
         const populateMap = (data, type) => {
             data.forEach(row => {
                 const ts = row.timestampMs;
@@ -23,6 +44,7 @@ const DataMerger = {
                 if (type === 'grid') {
                     entry.importKwh = row.importKwh;
                     entry.exportKwh = row.exportKwh;
+                    if (row.phases) entry.phases = row.phases; // Per-phase L1/L2/L3 meter data
                 }
             });
         };
@@ -31,12 +53,104 @@ const DataMerger = {
         populateMap(gridData, 'grid');
 
         // Sorting by numeric timestamp
-        return Array.from(masterMap.values()).sort((a, b) => a.timestampMs - b.timestampMs);
+        const merged = Array.from(masterMap.values()).sort((a, b) => a.timestampMs - b.timestampMs);
+        return this.deriveConsumption(merged, commonInterval || 15);
+    },
+
+    /**
+     * Derive the household consumption of every interval (production - export + import)
+     * Negative values from timing mismatch between solar and grid meters are clamped to 0.
+     * @param {Array} data - Merged rows
+     * @param {number} intervalMinutes - Data interval in minutes
+     * @returns {Array} Same rows with consumptionKwh added
+     */
+    deriveConsumption(data, intervalMinutes) {
+        const intervalHours = intervalMinutes / 60;
+        data.forEach(row => {
+            row.consumptionKwh = Math.max(0, row.productionKw * intervalHours - row.exportKwh + row.importKwh);
+        });
+        return data;
+    },
+
+    /**
+     * Detect the interval length of a dataset (most common step between consecutive rows)
+     * @param {Array} data - Rows with timestampMs, sorted or unsorted
+     * @returns {number} Interval in minutes (15 if it cannot be detected)
+     */
+    detectIntervalMinutes(data) {
+        const timestamps = data.map(row => row.timestampMs).sort((a, b) => a - b);
+        const counts = new Map();
+
+        for (let i = 1; i < timestamps.length; i++) {
+            const minutes = Math.round((timestamps[i] - timestamps[i - 1]) / 60000);
+            if (minutes > 0) counts.set(minutes, (counts.get(minutes) || 0) + 1);
+        }
+
+        let intervalMinutes = 15;
+        let bestCount = 0;
+        counts.forEach((count, minutes) => {
+            if (count > bestCount) {
+                bestCount = count;
+                intervalMinutes = minutes;
+            }
+        });
+        return intervalMinutes;
+    },
+
+    /**
+     * Resample a dataset to a coarser step aligned to local clock time
+     * Solar power (kW) is averaged, grid energy (kWh, also per phase) is summed.
+     * @param {Array} data - Processed solar or grid rows
+     * @param {string} type - 'solar' | 'grid'
+     * @param {number} intervalMinutes - Target step in minutes
+     * @returns {Array} Resampled rows sorted by timestamp
+     */
+    resampleDataset(data, type, intervalMinutes) {
+        const stepMs = intervalMinutes * 60000;
+        const bins = new Map();
+
+        data.forEach(row => {
+            // Align to local time (hourly bins start on the hour, also with half-hour time zones)
+            const offsetMs = new Date(row.timestampMs).getTimezoneOffset() * 60000;
+            const binMs = Math.floor((row.timestampMs - offsetMs) / stepMs) * stepMs + offsetMs;
+
+            if (!bins.has(binMs)) {
+                bins.set(binMs, { timestamp: new Date(binMs), timestampMs: binMs, count: 0, productionKw: 0, importKwh: 0, exportKwh: 0, phases: null });
+            }
+            const bin = bins.get(binMs);
+            bin.count++;
+
+            if (type === 'solar') {
+                bin.productionKw += row.productionKw;
+            } else {
+                bin.importKwh += row.importKwh;
+                bin.exportKwh += row.exportKwh;
+                if (row.phases) {
+                    bin.phases = bin.phases || row.phases.map(() => ({ importKwh: 0, exportKwh: 0 }));
+                    row.phases.forEach((phase, i) => {
+                        bin.phases[i].importKwh += phase.importKwh;
+                        bin.phases[i].exportKwh += phase.exportKwh;
+                    });
+                }
+            }
+        });
+
+        return Array.from(bins.values()).map(bin => {
+            const entry = { timestamp: bin.timestamp, timestampMs: bin.timestampMs };
+            if (type === 'solar') {
+                entry.productionKw = bin.productionKw / bin.count;
+            } else {
+                entry.importKwh = bin.importKwh;
+                entry.exportKwh = bin.exportKwh;
+                if (bin.phases) entry.phases = bin.phases;
+            }
+            return entry;
+        }).sort((a, b) => a.timestampMs - b.timestampMs);
     },
 
     /**
      * Aggregate data to daily intervals
-     * @param {Array} data - Array of 15-minute interval data
+     * @param {Array} data - Array of interval data
      * @param {Object} fields - Object specifying which fields to sum or average
      *                          { sum: ['field1', 'field2'], average: ['field3', 'field4'] }
      * @returns {Array} Array of daily aggregated data
@@ -112,7 +226,7 @@ const DataMerger = {
 
     /**
      * Aggregate data to monthly intervals
-     * @param {Array} data - Array of 15-minute interval data
+     * @param {Array} data - Array of interval data
      * @param {Object} fields - Object specifying which fields to sum or average
      *                          { sum: ['field1', 'field2'], average: ['field3', 'field4'] }
      * @returns {Array} Array of monthly aggregated data
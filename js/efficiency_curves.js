@@ -0,0 +1,106 @@
+/**
+ * Efficiency Curves Module
+ * Load-dependent inverter efficiency (low efficiency at a few hundred watts, peak around half load).
+ * A curve is a list of { loadPercent, efficiencyPercent } points (e.g. a CEC / Euro efficiency
+ * table), linearly interpolated; loadPercent is the battery power in % of the inverter rating.
+ */
+const EfficiencyCurves = {
+    /**
+     * Inverter presets (null curve = constant efficiency)
+     */
+    presets: {
+        constant: {
+            label: 'Constant (Rated Efficiency)',
+            curve: null
+        },
+        hybrid: {
+            label: 'Typical Hybrid Inverter',
+            curve: [
+                { loadPercent: 2, efficiencyPercent: 75 },
+                { loadPercent: 5, efficiencyPercent: 88 },
+                { loadPercent: 10, efficiencyPercent: 93 },
+                { loadPercent: 20, efficiencyPercent: 95.5 },
+                { loadPercent: 30, efficiencyPercent: 96.2 },
+                { loadPercent: 50, efficiencyPercent: 96.6 },
+                { loadPercent: 75, efficiencyPercent: 96.5 },
+                { loadPercent: 100, efficiencyPercent: 96.1 }
+            ]
+        },
+        legacy: {
+            label: 'Older / High Standby Inverter',
+            curve: [
+                { loadPercent: 2, efficiencyPercent: 55 },
+                { loadPercent: 5, efficiencyPercent: 78 },
+                { loadPercent: 10, efficiencyPercent: 88 },
+                { loadPercent: 20, efficiencyPercent: 92.5 },
+                { loadPercent: 30, efficiencyPercent: 94 },
+                { loadPercent: 50, efficiencyPercent: 95 },
+                { loadPercent: 75, efficiencyPercent: 95.2 },
+                { loadPercent: 100, efficiencyPercent: 95 }
+            ]
+        }
+    },
+
+    /**
+     * Get a copy of a preset curve (falls back to constant)
+     * @param {string} name - 'constant' | 'hybrid' | 'legacy'
+     * @returns {Array|null} Curve points, null for constant efficiency
+     */
+    getPreset(name) {
+        const preset = this.presets[name] || this.presets.constant;
+        return preset.curve ? preset.curve.map(point => ({ ...point })) : null;
+    },
+
+    /**
+     * Efficiency at a given load (linear interpolation, clamped at the curve ends)
+     * @param {Array} curve - Sorted { loadPercent, efficiencyPercent } points
+     * @param {number} loadPercent - Power in % of the inverter rating
+     * @returns {number} Efficiency in %
+     */
+    getEfficiency(curve, loadPercent) {
+        if (loadPercent <= curve[0].loadPercent) return curve[0].efficiencyPercent;
+
+        for (let i = 1; i < curve.length; i++) {
+            const upper = curve[i];
+            if (loadPercent <= upper.loadPercent) {
+                const lower = curve[i - 1];
+                const span = upper.loadPercent - lower.loadPercent;
+                const fraction = span > 0 ? (loadPercent - lower.loadPercent) / span : 1;
+                return lower.efficiencyPercent + (upper.efficiencyPercent - lower.efficiencyPercent) * fraction;
+            }
+        }
+
+        return curve[curve.length - 1].efficiencyPercent;
+    },
+
+    /**
+     * Format a curve for the text input ("10:93, 50:96.6, 100:96.1")
+     */
+    formatCurve(curve) {
+        return curve ? curve.map(point => `${point.loadPercent}:${point.efficiencyPercent}`).join(', ') : '';
+    },
+
+    /**
+     * Parse a curve from text ("load%:efficiency%" pairs separated by commas)
+     * @param {string} text - Curve definition
+     * @returns {Array|null} Sorted curve points, null if the text is invalid
+     */
+    parseCurve(text) {
+        const points = String(text).split(',')
+            .map(pair => pair.trim())
+            .filter(pair => pair.length > 0)
+            .map(pair => {
+                const [load, efficiency] = pair.split(':').map(v => parseFloat(v));
+                return { loadPercent: load, efficiencyPercent: efficiency };
+            });
+
+        const isValid = points.length >= 1 && points.every(point =>
+            !isNaN(point.loadPercent) && !isNaN(point.efficiencyPercent) &&
+            point.loadPercent >= 0 && point.loadPercent <= 200 &&
+            point.efficiencyPercent > 0 && point.efficiencyPercent <= 100
+        );
+        if (!isValid) return null;
+
+        return points.sort((a, b) => a.loadPercent - b.loadPercent);
+    }
+};
@@ -0,0 +1,181 @@
+/**
+ * Investment Analysis Module
+ * Battery investment economics on top of the simulated savings: the savings of the simulated
+ * range are annualized and projected over the battery lifetime with electricity price escalation
+ * (and capacity fade when the degradation model is on), then discounted to NPV, IRR, paybacks
+ * and the levelized cost of storage (LCOS).
+ * Costs are in the selected currency; year 0 is the purchase, years 1..lifetime the operation.
+ */
+const InvestmentAnalysis = {
+    /**
+     * Default investment inputs per currency
+     */
+    defaults: {
+        HUF: {
+            costPerKwh: 150000,
+            costPerKw: 0, // Battery inverter per kW of battery power (0 = included in the fixed cost)
+            fixedCost: 600000, // Installation, inverter, permits
+            subsidy: 0,
+            omPerYear: 15000 // Operation & maintenance
+        },
+        EUR: {
+            costPerKwh: 400,
+            costPerKw: 0,
+            fixedCost: 1500,
+            subsidy: 0,
+            omPerYear: 40
+        }
+    },
+
+    /**
+     * Defaults shared by all currencies
+     */
+    discountRatePercent: 5,
+    escalationPercent: 3,
+    lifetimeYears: 15,
+
+    /**
+     * Year-by-year cash flows and investment metrics
+     * @param {Object} metrics - Simulation metrics (financials, after, degradation)
+     * @param {number} capacityKwh - Nominal battery capacity
+     * @param {Object} investment - { costPerKwh, costPerKw, fixedCost, subsidy, omPerYear, discountRatePercent, escalationPercent, lifetimeYears }
+     * @param {number} powerKw - Battery (inverter) power, priced with costPerKw
+     * @returns {Object} Investment result
+     */
+    analyze(metrics, capacityKwh, investment, powerKw = 0) {
+        const { financials, after, degradation } = metrics;
+        const durationDays = financials.durationDays > 0 ? financials.durationDays : 365;
+        const annualize = value => value * 365 / durationDays;
+
+        // Without a battery there is nothing to buy or maintain
+        const capex = capacityKwh > 0
+            ? capacityKwh * investment.costPerKwh + powerKw * (investment.costPerKw || 0) + investment.fixedCost
+            : 0;
+        const netInvestment = Math.max(0, capex - investment.subsidy);
+        const omPerYear = capacityKwh > 0 ? investment.omPerYear : 0;
+        const annualSavings = annualize(financials.totalSavings);
+        const annualDischargedKwh = annualize(after.dischargedEnergy || 0);
+
+        const discountRate = investment.discountRatePercent / 100;
+        const escalation = investment.escalationPercent / 100;
+        // Capacity fade: savings and discharged energy shrink with the simulated fade rate
+        const fadePerYear = degradation ? degradation.fadePercentPerYear / 100 : 0;
+
+        const cashFlows = [{
+            year: 0,
+            savings: 0,
+            om: 0,
+            netCashFlow: -netInvestment,
+            cumulative: -netInvestment,
+            discountedCumulative: -netInvestment
+        }];
+        let discountedOm = 0;
+        let discountedDischargedKwh = 0;
+
+        for (let year = 1; year <= investment.lifetimeYears; year++) {
+            const healthFactor = Math.max(0, 1 - fadePerYear * (year - 1));
+            const savings = annualSavings * Math.pow(1 + escalation, year - 1) * healthFactor;
+            const netCashFlow = savings - omPerYear;
+            const discountFactor = Math.pow(1 + discountRate, year);
+            const previous = cashFlows[year - 1];
+
+            cashFlows.push({
+                year: year,
+                savings: savings,
+                om: omPerYear,
+                netCashFlow: netCashFlow,
+                cumulative: previous.cumulative + netCashFlow,
+                discountedCumulative: previous.discountedCumulative + netCashFlow / discountFactor
+            });
+            discountedOm += omPerYear / discountFactor;
+            discountedDischargedKwh += annualDischargedKwh * healthFactor / discountFactor;
+        }
+
+        const netCashFlows = cashFlows.map(flow => flow.netCashFlow);
+
+        return {
+            capex: capex,
+            subsidy: Math.min(capex, investment.subsidy),
+            netInvestment: netInvestment,
+            annualSavings: annualSavings,
+            annualDischargedKwh: annualDischargedKwh,
+            lifetimeYears: investment.lifetimeYears,
+            cashFlows: cashFlows,
+            npv: cashFlows[cashFlows.length - 1].discountedCumulative,
+            irr: this.calculateIrr(netCashFlows),
+            simplePaybackYears: this.findPayback(cashFlows, 'cumulative'),
+            discountedPaybackYears: this.findPayback(cashFlows, 'discountedCumulative'),
+            // Cost per discharged kWh over the lifetime, charging energy excluded
+            lcos: discountedDischargedKwh > 0 ? (netInvestment + discountedOm) / discountedDischargedKwh : null
+        };
+    },
+
+    /**
+     * Marginal annual savings per added kWh between neighbouring capacity points
+     * @param {Array} curvePoints - Optimization curve points sorted by capacityKwh, with annualSavings
+     * @returns {Array<number|null>} Per point (null for the first point)
+     */
+    calculateMarginalSavings(curvePoints) {
+        return curvePoints.map((point, i) => {
+            if (i === 0) return null;
+            const previous = curvePoints[i - 1];
+            const addedKwh = point.capacityKwh - previous.capacityKwh;
+            return addedKwh > 0 ? (point.annualSavings - previous.annualSavings) / addedKwh : null;
+        });
+    },
+
+    /**
+     * Economically optimal battery size: the capacity point with the highest non-negative NPV
+     * @param {Array} curvePoints - Optimization curve points with capacityKwh and npv
+     * @returns {Object|null} Best point with a battery (capacity > 0), null without NPV data or
+     *                        when no battery size pays back its investment (every NPV below 0)
+     */
+    findEconomicOptimum(curvePoints) {
+        const best = curvePoints
+            .filter(point => point.capacityKwh > 0 && typeof point.npv === 'number')
+            .reduce((top, point) => (top === null || point.npv > top.npv ? point : top), null);
+        return best !== null && best.npv >= 0 ? best : null;
+    },
+
+    /**
+     * Year in which a cumulative cash flow turns non-negative (interpolated within the year)
+     * @param {Array} cashFlows - Output of analyze
+     * @param {string} key - 'cumulative' or 'discountedCumulative'
+     * @returns {number|null} Payback in years, null if the investment does not pay back within the lifetime
+     */
+    findPayback(cashFlows, key) {
+        if (cashFlows[0][key] >= 0) return 0;
+
+        for (let i = 1; i < cashFlows.length; i++) {
+            const before = cashFlows[i - 1][key];
+            const after = cashFlows[i][key];
+            if (after >= 0) {
+                return (i - 1) + (-before) / (after - before);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Internal rate of return by bisection
+     * @param {Array<number>} netCashFlows - Net cash flow per year (year 0 first)
+     * @returns {number|null} IRR in percent, null if the NPV does not change sign
+     */
+    calculateIrr(netCashFlows) {
+        const npvAt = rate => netCashFlows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+
+        let low = -0.99;
+        let high = 10;
+        if (npvAt(low) * npvAt(high) > 0) return null;
+
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (npvAt(low) * npvAt(mid) <= 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return (low + high) / 2 * 100;
+    }
+};
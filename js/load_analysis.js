@@ -0,0 +1,116 @@
+/**
+ * Load Analysis Module
+ * Household load analytics on the derived consumption series (production - export + import):
+ * average daily / seasonal load profiles, base load, evening peak and how the load is covered
+ * by solar, battery and grid.
+ */
+const LoadAnalysis = {
+    /**
+     * Seasons by month index (meteorological, northern hemisphere)
+     */
+    seasons: [
+        { key: 'winter', label: 'Winter (Dec-Feb)', months: [11, 0, 1] },
+        { key: 'spring', label: 'Spring (Mar-May)', months: [2, 3, 4] },
+        { key: 'summer', label: 'Summer (Jun-Aug)', months: [5, 6, 7] },
+        { key: 'autumn', label: 'Autumn (Sep-Nov)', months: [8, 9, 10] }
+    ],
+
+    /**
+     * Evening window for the evening peak (hours of day, end exclusive)
+     */
+    eveningStartHour: 17,
+    eveningEndHour: 23,
+
+    /**
+     * Percentile of interval load power used as base load
+     */
+    baseLoadPercentile: 10,
+
+    /**
+     * Analyze the household load of a simulation
+     * @param {Array} simulatedData - Output points of BatterySimulation.simulate
+     * @returns {Object} Load statistics
+     */
+    analyze(simulatedData) {
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const days = new Set();
+        const loadPowers = [];
+
+        // Hourly profile accumulators: all data and per season
+        const createProfile = () => ({ sums: new Array(24).fill(0), counts: new Array(24).fill(0) });
+        const profiles = { all: createProfile() };
+        this.seasons.forEach(season => { profiles[season.key] = createProfile(); });
+
+        const coverage = { solarKwh: 0, batteryKwh: 0, gridKwh: 0 };
+        let totalLoadKwh = 0;
+
+        simulatedData.forEach(point => {
+            const loadKwh = point.consumptionKwh || 0;
+            const loadKw = loadKwh / intervalHours;
+            const date = new Date(point.timestampMs);
+            const hour = date.getHours();
+            const season = this.seasons.find(s => s.months.includes(date.getMonth()));
+
+            totalLoadKwh += loadKwh;
+            loadPowers.push(loadKw);
+            days.add(`${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`);
+
+            [profiles.all, profiles[season.key]].forEach(profile => {
+                profile.sums[hour] += loadKw;
+                profile.counts[hour]++;
+            });
+
+            // Coverage: PV not exported (or curtailed/clipped) first, then the AC energy the battery
+            // delivers (discharge minus losses), the rest comes from the grid
+            const pvKwh = point.productionKw * intervalHours;
+            const pvUsedKwh = Math.min(pvKwh - point.exportKwh - (point.curtailedKwh || 0), pvKwh - (point.dcClippedKwh || 0));
+            const solarKwh = Math.min(loadKwh, Math.max(0, pvUsedKwh));
+            const deliveredKwh = point.batteryDischargeKw > 0
+                ? (point.batteryDischargeKw - (point.batteryLossKw || 0)) * intervalHours
+                : 0;
+            const batteryKwh = Math.min(loadKwh - solarKwh, Math.max(0, deliveredKwh));
+
+            coverage.solarKwh += solarKwh;
+            coverage.batteryKwh += batteryKwh;
+            coverage.gridKwh += loadKwh - solarKwh - batteryKwh;
+        });
+
+        const hourlyProfiles = {};
+        Object.keys(profiles).forEach(key => {
+            const profile = profiles[key];
+            hourlyProfiles[key] = profile.sums.map((sum, hour) =>
+                profile.counts[hour] > 0 ? sum / profile.counts[hour] : null
+            );
+        });
+
+        // Evening peak: highest hour of the average profile inside the evening window
+        let eveningPeakKw = 0;
+        let eveningPeakHour = this.eveningStartHour;
+        for (let hour = this.eveningStartHour; hour < this.eveningEndHour; hour++) {
+            if ((hourlyProfiles.all[hour] || 0) > eveningPeakKw) {
+                eveningPeakKw = hourlyProfiles.all[hour];
+                eveningPeakHour = hour;
+            }
+        }
+
+        const sortedPowers = loadPowers.sort((a, b) => a - b);
+        const percentileIndex = Math.floor((sortedPowers.length - 1) * this.baseLoadPercentile / 100);
+        const share = value => totalLoadKwh > 0 ? (value / totalLoadKwh) * 100 : 0;
+
+        return {
+            totalLoadKwh,
+            dailyAverageKwh: days.size > 0 ? totalLoadKwh / days.size : 0,
+            averageLoadKw: loadPowers.length > 0 ? totalLoadKwh / (loadPowers.length * intervalHours) : 0,
+            baseLoadKw: sortedPowers.length > 0 ? sortedPowers[percentileIndex] : 0,
+            eveningPeakKw,
+            eveningPeakHour,
+            hourlyProfiles,
+            coverage: {
+                ...coverage,
+                solarPercent: share(coverage.solarKwh),
+                batteryPercent: share(coverage.batteryKwh),
+                gridPercent: share(coverage.gridKwh)
+            }
+        };
+    }
+};
@@ -0,0 +1,264 @@
+/**
+ * Load Scenarios Module
+ * Future loads that are not in the measured grid data (an EV arriving, a heat pump replacing gas),
+ * layered onto the merged timeline. Added load uses surplus PV (export) first, the rest is imported;
+ * the battery covers the added import like any other load unless the EV is excluded from it.
+ * A solar-first EV is a flexible sink: it takes the surplus the heat pump leaves before the home
+ * battery and export do, and only falls back to the grid for its minimum daily charge.
+ * Limitation: the EV schedule is fixed here, before the battery simulation, from the measured
+ * surplus; it does not react to the home battery (e.g. its SOC during the grid fallback).
+ * A scenario is { ev: Object|null, heatPump: Object|null }.
+ */
+const LoadScenarios = {
+    /**
+     * Default scenario parameters
+     */
+    defaults: {
+        ev: {
+            dailyKm: 40,
+            kwhPer100Km: 18,
+            chargerKw: 11,
+            chargingEfficiency: 0.9, // Grid-to-car efficiency
+            plugInTime: '18:00',
+            plugOutTime: '07:00',
+            batteryServesEv: true, // Home battery may discharge into the EV
+            chargingMode: 'uncontrolled', // 'uncontrolled' (full power at plug-in) | 'solar-first' (surplus PV, grid fallback)
+            minChargePercent: 100, // Solar-first: share of the daily energy that must be back by plug-out
+            batteryKwh: 60 // Solar-first: car battery, caps the driving energy carried over between days
+        },
+        heatPump: {
+            mode: 'temperature', // 'temperature' (heat loss x degrees below base / COP) | 'monthly' (kWh table)
+            monthlyTemperatures: [0, 2, 6, 12, 17, 20, 22, 22, 17, 11, 6, 1], // Monthly mean outdoor temperature (°C)
+            dailySwingC: 8, // Day-night temperature difference (°C), coldest at 05:00, warmest at 15:00
+            heatLossKwPerK: 0.2, // Building heat loss (kW per °C below base)
+            baseTemperatureC: 15, // Heating limit temperature (°C)
+            copAt7C: 3.5, // COP at 7 °C outdoor temperature, changes by copSlopePerK per °C
+            monthlyKwh: [900, 750, 550, 300, 100, 0, 0, 0, 100, 300, 550, 800] // Electricity per month (monthly mode)
+        }
+    },
+
+    /**
+     * COP change per °C of outdoor temperature and its limits
+     */
+    copSlopePerK: 0.1,
+    minCop: 1.5,
+    maxCop: 6,
+
+    /**
+     * Parse 12 monthly values (Jan-Dec) separated by commas
+     * @param {string} text - Value list
+     * @param {number} min - Smallest allowed value
+     * @param {number} max - Largest allowed value
+     * @returns {Array|null} 12 values, null if the text is invalid
+     */
+    parseMonthly(text, min, max) {
+        const values = String(text).split(',')
+            .map(value => value.trim())
+            .filter(value => value.length > 0)
+            .map(value => parseFloat(value));
+
+        const isValid = values.length === 12 && values.every(value => !isNaN(value) && value >= min && value <= max);
+        return isValid ? values : null;
+    },
+
+    /**
+     * Minutes since midnight of an "HH:MM" string
+     */
+    parseTime(text) {
+        const [hours, minutes] = String(text).split(':').map(v => parseInt(v, 10));
+        return (hours || 0) * 60 + (minutes || 0);
+    },
+
+    /**
+     * Whether a time of day falls into a plug-in window (the window may wrap past midnight)
+     * @param {number} minuteOfDay - Minutes since midnight
+     * @param {number} fromMinute - Plug-in time (minutes since midnight)
+     * @param {number} toMinute - Plug-out time (minutes since midnight)
+     * @returns {boolean} True while the car is plugged in
+     */
+    isInWindow(minuteOfDay, fromMinute, toMinute) {
+        return fromMinute <= toMinute
+            ? minuteOfDay >= fromMinute && minuteOfDay < toMinute
+            : minuteOfDay >= fromMinute || minuteOfDay < toMinute;
+    },
+
+    /**
+     * EV charging energy per interval
+     * Uncontrolled: full charger power from plug-in until the daily energy is back in the car or
+     * the car leaves. Solar-first: surplus PV charges the car whenever it is plugged in; the part
+     * of the minimum daily charge the surplus has not delivered is drawn from the grid as late as
+     * possible before plug-out. Energy not charged is carried over to the next session, up to
+     * what the car battery holds.
+     * @param {Array} data - Timeline with timestampMs
+     * @param {Object} ev - EV parameters
+     * @param {number} intervalHours - Interval length in hours
+     * @param {Float64Array|null} surplusKwh - Surplus PV per interval (solar-first only)
+     * @returns {Float64Array} Grid energy drawn by the charger per interval (kWh)
+     */
+    buildEvLoad(data, ev, intervalHours, surplusKwh = null) {
+        const load = new Float64Array(data.length);
+        const dailyNeedKwh = ev.dailyKm * ev.kwhPer100Km / 100 / ev.chargingEfficiency;
+        const chargerKwh = ev.chargerKw * intervalHours;
+        const fromMinute = this.parseTime(ev.plugInTime);
+        const toMinute = this.parseTime(ev.plugOutTime);
+        const pluggedIn = data.map(point => {
+            const date = new Date(point.timestampMs);
+            return this.isInWindow(date.getHours() * 60 + date.getMinutes(), fromMinute, toMinute);
+        });
+
+        if (ev.chargingMode !== 'solar-first' || !surplusKwh) {
+            let remainingKwh = 0;
+            data.forEach((point, i) => {
+                // Every plug-in starts a session that brings back one day of driving
+                if (pluggedIn[i] && (i === 0 || !pluggedIn[i - 1])) remainingKwh = dailyNeedKwh;
+                if (!pluggedIn[i]) return;
+
+                load[i] = Math.min(remainingKwh, chargerKwh);
+                remainingKwh -= load[i];
+            });
+            return load;
+        }
+
+        // Plugged-in intervals left in the session, this one included (for the grid deadline)
+        const intervalsLeft = new Int32Array(data.length);
+        for (let i = data.length - 1; i >= 0; i--) {
+            intervalsLeft[i] = pluggedIn[i] ? 1 + (i + 1 < data.length ? intervalsLeft[i + 1] : 0) : 0;
+        }
+
+        const minimumKwh = dailyNeedKwh * Math.max(0, Math.min(100, ev.minChargePercent)) / 100;
+        // Largest deficit the car can have (grid side): an empty battery
+        const maxDeficitKwh = (ev.batteryKwh || this.defaults.ev.batteryKwh) / ev.chargingEfficiency;
+        let deficitKwh = 0; // Driving energy not yet back in the car
+        let deadlineKwh = 0; // Part of the deficit that must be charged before plug-out
+        data.forEach((point, i) => {
+            if (!pluggedIn[i]) return;
+            if (i === 0 || !pluggedIn[i - 1]) {
+                deficitKwh = Math.min(maxDeficitKwh, deficitKwh + dailyNeedKwh);
+                deadlineKwh = Math.max(0, deficitKwh - (dailyNeedKwh - minimumKwh));
+            }
+
+            const solarKwh = Math.min(surplusKwh[i], chargerKwh, deficitKwh);
+            // Grid fallback only when the rest of the session could no longer reach the minimum
+            const gridKwh = Math.min(
+                chargerKwh - solarKwh,
+                Math.max(0, deadlineKwh - solarKwh - chargerKwh * (intervalsLeft[i] - 1))
+            );
+
+            load[i] = solarKwh + gridKwh;
+            deficitKwh -= load[i];
+            deadlineKwh = Math.max(0, deadlineKwh - load[i]);
+        });
+        return load;
+    },
+
+    /**
+     * Outdoor temperature from the monthly means with a daily swing
+     * @param {Object} heatPump - Heat pump parameters
+     * @param {Date} date - Time
+     * @returns {number} Temperature (°C)
+     */
+    getTemperature(heatPump, date) {
+        const hour = date.getHours() + date.getMinutes() / 60;
+        // Cosine between the minimum at 05:00 and the maximum at 15:00
+        const phase = hour >= 5 && hour < 15 ? (hour - 5) / 10 : ((hour - 15 + 24) % 24) / 14 + 1;
+        return heatPump.monthlyTemperatures[date.getMonth()] - heatPump.dailySwingC / 2 * Math.cos(Math.PI * phase);
+    },
+
+    /**
+     * Heat pump COP at an outdoor temperature
+     */
+    getCop(heatPump, temperatureC) {
+        const cop = heatPump.copAt7C + this.copSlopePerK * (temperatureC - 7);
+        return Math.max(this.minCop, Math.min(this.maxCop, cop));
+    },
+
+    /**
+     * Heat pump electricity per interval
+     * Temperature mode: heat loss x degrees below the base temperature / COP.
+     * Monthly mode: the monthly kWh spread evenly over the month (calendar days, so partial months
+     * in the data get their share).
+     * @param {Array} data - Timeline with timestampMs
+     * @param {Object} heatPump - Heat pump parameters
+     * @param {number} intervalHours - Interval length in hours
+     * @returns {Float64Array} Electricity per interval (kWh)
+     */
+    buildHeatPumpLoad(data, heatPump, intervalHours) {
+        return Float64Array.from(data, point => {
+            const date = new Date(point.timestampMs);
+
+            if (heatPump.mode === 'monthly') {
+                const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                return heatPump.monthlyKwh[date.getMonth()] / (daysInMonth * 24) * intervalHours;
+            }
+
+            const temperatureC = this.getTemperature(heatPump, date);
+            const heatKw = heatPump.heatLossKwPerK * Math.max(0, heatPump.baseTemperatureC - temperatureC);
+            return heatKw / this.getCop(heatPump, temperatureC) * intervalHours;
+        });
+    },
+
+    /**
+     * Layer the scenario loads onto the timeline
+     * @param {Array} data - Merged timeline
+     * @param {Object|null} scenario - { ev, heatPump }, null = no added load
+     * @param {number} intervalMinutes - Interval length in minutes
+     * @returns {Array} Rows with the added load in importKwh/exportKwh/consumptionKwh and
+     *                  evKwh, evImportKwh, evSurplusKwh, heatPumpKwh (same array without a scenario)
+     */
+    apply(data, scenario, intervalMinutes) {
+        if (!scenario || (!scenario.ev && !scenario.heatPump)) return data;
+
+        const intervalHours = intervalMinutes / 60;
+        const heatPumpLoad = scenario.heatPump ? this.buildHeatPumpLoad(data, scenario.heatPump, intervalHours) : null;
+        // Surplus PV the heat pump leaves for a solar-first EV
+        const surplusKwh = Float64Array.from(data, (point, i) =>
+            Math.max(0, point.exportKwh - (heatPumpLoad ? heatPumpLoad[i] : 0))
+        );
+        const evLoad = scenario.ev ? this.buildEvLoad(data, scenario.ev, intervalHours, surplusKwh) : null;
+
+        // Added load takes surplus PV first, the rest is imported
+        const addLoad = (importKwh, exportKwh, addedKwh) => {
+            const fromExport = Math.min(exportKwh, addedKwh);
+            return { importKwh: importKwh + (addedKwh - fromExport), exportKwh: exportKwh - fromExport };
+        };
+
+        return data.map((point, i) => {
+            const evKwh = evLoad ? evLoad[i] : 0;
+            const heatPumpKwh = heatPumpLoad ? heatPumpLoad[i] : 0;
+            const addedKwh = evKwh + heatPumpKwh;
+            if (addedKwh === 0) return { ...point, evKwh: 0, evImportKwh: 0, evSurplusKwh: 0, heatPumpKwh: 0 };
+
+            // Per-phase data: three-phase charger and heat pump draw equally from every phase
+            let flows;
+            let phases = null;
+            if (point.phases) {
+                phases = point.phases.map(phase => ({
+                    ...phase,
+                    ...addLoad(phase.importKwh, phase.exportKwh, addedKwh / point.phases.length)
+                }));
+                flows = {
+                    importKwh: phases.reduce((sum, phase) => sum + phase.importKwh, 0),
+                    exportKwh: phases.reduce((sum, phase) => sum + phase.exportKwh, 0)
+                };
+            } else {
+                flows = addLoad(point.importKwh, point.exportKwh, addedKwh);
+            }
+
+            // The heat pump runs anyway and takes surplus PV first, the EV gets what it leaves
+            const surplusUsedKwh = Math.max(0, point.exportKwh - flows.exportKwh);
+            const evSurplusKwh = Math.max(0, surplusUsedKwh - heatPumpKwh);
+
+            const layered = {
+                ...point,
+                ...flows,
+                consumptionKwh: (point.consumptionKwh || 0) + addedKwh,
+                evKwh: evKwh,
+                evImportKwh: evKwh - evSurplusKwh,
+                evSurplusKwh: evSurplusKwh,
+                heatPumpKwh: heatPumpKwh
+            };
+            if (phases) layered.phases = phases;
+            return layered;
+        });
+    }
+};
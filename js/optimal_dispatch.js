@@ -0,0 +1,444 @@
+/**
+ * Optimal Dispatch Module
+ * Perfect-foresight benchmark: dynamic programming over a discretized SOC grid
+ * finds the cost-minimizing charge/discharge schedule for the whole range.
+ *
+ * The solver shares the efficiencies and efficiency curves, power limits, SOC window, inverter mode
+ * and rating and the arbitrage grid-charging permission with BatterySimulation.simulate. It does not
+ * model capacity fade, per-phase netting, the peak-shaving reserve refill or demand charges; for
+ * such configurations (see getUnsupportedFeatures) the gap to the greedy result would not be the
+ * value of knowing the future, so the benchmark is not solved.
+ */
+const OptimalDispatch = {
+    // Target SOC resolution (kWh per level) and upper bound on the number of levels
+    levelResolutionKwh: 0.05,
+    maxLevels: 200,
+
+    /**
+     * Simulation features the solver does not model
+     * @param {Array} data - Timeline of the simulation range
+     * @param {Object} config - Simulation config
+     * @returns {Array<string>} Feature names (empty if the benchmark is comparable to the greedy run)
+     */
+    getUnsupportedFeatures(data, config) {
+        const features = [];
+        if (config.degradationEnabled) features.push('battery degradation');
+        if (data.some(point => point.phases)) features.push('per-phase meter data');
+        if (config.dispatchStrategy === 'peak-shaving') features.push('peak shaving');
+        if (config.demandChargePerKw > 0) features.push('demand charges');
+        return features;
+    },
+
+    /**
+     * Solve the optimal schedule and evaluate it with the regular metric functions
+     * @param {Array} data - Timeline with solar and grid data (simulation range)
+     * @param {Object} greedyResults - Output of BatterySimulation.simulate for the same data
+     * @returns {Object} { simulatedData, metrics, levels, levelKwh }
+     */
+    solve(data, greedyResults) {
+        const config = BatterySimulation.config;
+        // Same hypothetical PV size and load scenario as the greedy simulation
+        data = BatterySimulation.prepareTimeline(data);
+        // Normal dispatch stays above the backup reserve (kept for outages)
+        const minKwh = config.capacityKwh * (BatterySimulation.getDispatchFloorPercent() / 100);
+        const maxKwh = config.capacityKwh * (config.maxSocPercent / 100);
+        const rangeKwh = Math.max(0, maxKwh - minKwh);
+
+        // SOC grid: level 0 = min SOC, level N = max SOC
+        const levels = rangeKwh > 0
+            ? Math.min(this.maxLevels, Math.max(1, Math.ceil(rangeKwh / this.levelResolutionKwh)))
+            : 0;
+        const levelKwh = levels > 0 ? rangeKwh / levels : 0;
+        const stateCount = levels + 1;
+
+        const prices = this.buildPrices(data, greedyResults);
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const gridChargeKwh = config.dispatchStrategy === 'arbitrage'
+            ? Math.min(config.gridChargeMaxKw * intervalHours, config.maxChargeRateKw * intervalHours, BatterySimulation.getInverterCapKwh())
+            : 0;
+
+        // Grid flows including standby consumption, hybrid inverter clipping and the EV exclusion, and self-discharge per interval
+        const flowData = data.map(point => BatterySimulation.getGridFlows(point));
+        const decay = BatterySimulation.getSelfDischargeFraction();
+
+        // Export limit: export above the cap is curtailed and earns nothing
+        const exportCapKwh = BatterySimulation.getExportCapKwh();
+        const baselineData = BatterySimulation.applyExportLimit(data);
+        const model = { config, levels, levelKwh, minKwh, gridChargeKwh, flowData, decay, exportCapKwh, baselineData };
+
+        // Start from the same stored energy as the greedy run (initial SOC / steady state)
+        const initialSocKwh = greedyResults.initialSocKwh !== undefined ? greedyResults.initialSocKwh : minKwh;
+        const initialEnergyKwh = Math.min(rangeKwh, Math.max(0, initialSocKwh - minKwh));
+
+        // Value function V_t(level) = cheapest cost from interval t onward, row T is zero
+        // (energy left at the end has no value, same as in the greedy simulation)
+        const T = data.length;
+        const values = new Float32Array((T + 1) * stateCount);
+
+        // Steady state: ending below the starting SOC is charged at the cost of refilling it
+        // from the grid, so the optimum cannot simply drain the battery it was handed
+        if (config.steadyState && levels > 0) {
+            const refillPrice = prices.importPrices.reduce((max, price) => Math.max(max, price), 0) / config.chargeEfficiency;
+            for (let level = 0; level < stateCount; level++) {
+                values[T * stateCount + level] = Math.max(0, initialEnergyKwh - level * levelKwh) * refillPrice;
+            }
+        }
+
+        if (levels > 0) {
+            // Maximum level change per interval (charge is limited on the AC side, stored = AC * efficiency)
+            const maxUp = Math.floor((config.maxChargeRateKw * intervalHours * this.getMaxStoreEfficiency(config)) / levelKwh + 1e-9);
+            const maxDown = Math.floor((config.maxDischargeRateKw * intervalHours) / levelKwh + 1e-9);
+            const gridCosts = new Float64Array(maxUp + maxDown + 1);
+
+            // SOC-dependent power limits per level (power curves only ever reduce the nominal rates)
+            const upLimitKwh = new Float64Array(stateCount);
+            const downLimitKwh = new Float64Array(stateCount);
+            const upLimitLevels = new Int32Array(stateCount);
+            const downLimitLevels = new Int32Array(stateCount);
+            for (let level = 0; level < stateCount; level++) {
+                const limits = this.getStepLimits(config, minKwh + level * levelKwh);
+                upLimitKwh[level] = limits.maxUpKwh;
+                downLimitKwh[level] = limits.maxDownKwh;
+                upLimitLevels[level] = Math.min(maxUp, Math.floor(limits.maxUpKwh / levelKwh + 1e-9));
+                downLimitLevels[level] = Math.min(maxDown, Math.floor(limits.maxDownKwh / levelKwh + 1e-9));
+            }
+
+            // Backward pass
+            for (let t = T - 1; t >= 0; t--) {
+                const point = flowData[t];
+                const importPrice = prices.importPrices[t];
+                const exportPrice = prices.exportPrices[t];
+                const rowOffset = t * stateCount;
+                const nextOffset = (t + 1) * stateCount;
+
+                // Cost of every level change in this interval (independent of the current level)
+                for (let delta = -maxDown; delta <= maxUp; delta++) {
+                    gridCosts[delta + maxDown] = this.stepCost(point, delta * levelKwh, config, gridChargeKwh, importPrice, exportPrice, exportCapKwh);
+                }
+
+                // Off-grid actions (e.g. absorb exactly the surplus) evaluated with interpolated values
+                const kinks = this.getKinkDeltas(point, config, gridChargeKwh, config.maxChargeRateKw * intervalHours, config.maxDischargeRateKw * intervalHours, exportCapKwh).map(deltaKwh => ({
+                    deltaKwh: deltaKwh,
+                    deltaLevels: deltaKwh / levelKwh,
+                    cost: this.stepCost(point, deltaKwh, config, gridChargeKwh, importPrice, exportPrice, exportCapKwh)
+                }));
+
+                for (let level = 0; level < stateCount; level++) {
+                    let best = Infinity;
+                    const lowest = Math.max(-downLimitLevels[level], -level);
+                    const highest = Math.min(upLimitLevels[level], levels - level);
+
+                    for (let delta = lowest; delta <= highest; delta++) {
+                        const nextValue = decay > 0
+                            ? this.interpolate(values, nextOffset, this.decayPosition(level + delta, model), levels)
+                            : values[nextOffset + level + delta];
+                        const total = gridCosts[delta + maxDown] + nextValue;
+                        if (total < best) best = total;
+                    }
+
+                    for (let k = 0; k < kinks.length; k++) {
+                        const position = level + kinks[k].deltaLevels;
+                        if (position < 0 || position > levels || kinks[k].cost === Infinity) continue;
+                        if (kinks[k].deltaKwh > upLimitKwh[level] + 1e-9 || -kinks[k].deltaKwh > downLimitKwh[level] + 1e-9) continue;
+                        const total = kinks[k].cost + this.interpolate(values, nextOffset, this.decayPosition(position, model), levels);
+                        if (total < best) best = total;
+                    }
+
+                    values[rowOffset + level] = best;
+                }
+            }
+        }
+
+        // Forward pass from the starting SOC (same as the greedy simulation)
+        const simulatedData = this.buildSchedule(data, values, prices, model, initialEnergyKwh);
+
+        const beforeMetrics = greedyResults.metrics.before;
+        const afterMetrics = BatterySimulation.calculateSimulatedMetrics(simulatedData, beforeMetrics);
+        const improvements = BatterySimulation.calculateImprovements(beforeMetrics, afterMetrics);
+        const financials = BatterySimulation.calculateFinancialSavings(simulatedData, beforeMetrics, afterMetrics);
+
+        return {
+            simulatedData,
+            metrics: {
+                before: beforeMetrics,
+                after: afterMetrics,
+                improvements: improvements,
+                financials: financials
+            },
+            levels: stateCount,
+            levelKwh: levelKwh
+        };
+    },
+
+    /**
+     * Stored-energy change limits for one interval at a given SOC (power curves applied)
+     * @param {Object} config - Simulation config
+     * @param {number} socKwh - Stored energy at the start of the interval
+     * @returns {Object} { maxUpKwh, maxDownKwh, maxChargeKwh } - Max stored energy gain / loss, max charge energy
+     */
+    getStepLimits(config, socKwh) {
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const socPercent = config.capacityKwh > 0 ? (socKwh / config.capacityKwh) * 100 : 0;
+        const limits = BatterySimulation.getPowerLimits(socPercent);
+        return {
+            maxUpKwh: limits.maxChargeKw * intervalHours * this.getMaxStoreEfficiency(config),
+            maxDownKwh: limits.maxDischargeKw * intervalHours,
+            maxChargeKwh: limits.maxChargeKw * intervalHours
+        };
+    },
+
+    /**
+     * Upper bound of stored / charged energy (clipped DC PV skips the inverter in DC coupling;
+     * efficiency curves never store more than at full power)
+     */
+    getMaxStoreEfficiency(config) {
+        return config.inverterCoupling === 'dc'
+            ? Math.max(config.chargeEfficiency, config.batteryEfficiency)
+            : config.chargeEfficiency;
+    },
+
+    /**
+     * Level position after self-discharge (stored energy decays towards zero, clamped at min SOC)
+     * @param {number} position - Fractional level after the dispatch action
+     * @param {Object} model - Solver model ({ levels, levelKwh, minKwh, decay })
+     * @returns {number} Fractional level at the start of the next interval
+     */
+    decayPosition(position, model) {
+        if (model.decay <= 0) return position;
+        const decayed = position - model.decay * (position + model.minKwh / model.levelKwh);
+        return Math.min(model.levels, Math.max(0, decayed));
+    },
+
+    /**
+     * Linear interpolation of a value-function row at a fractional level
+     */
+    interpolate(values, offset, position, levels) {
+        const lower = Math.min(Math.floor(position), levels - 1);
+        const fraction = position - lower;
+        return values[offset + lower] * (1 - fraction) + values[offset + lower + 1] * fraction;
+    },
+
+    /**
+     * Per-interval prices used as the DP objective
+     * TOU tariffs give a real price series. Tiered tariffs are cumulative, so the
+     * objective uses the marginal import price (Tier2 if the greedy battery scenario
+     * still exceeds the proportional Tier1 limit, else Tier1). The final schedule is
+     * always re-priced with the exact tariff.
+     */
+    buildPrices(data, greedyResults) {
+        const config = BatterySimulation.config;
+
+        if (config.tariffMode === 'tou') {
+            return TariffEngine.buildPriceSeries(data, BatterySimulation.getTouSchedule());
+        }
+
+        const prices = config.pricing[config.currency];
+        const financials = greedyResults.metrics.financials;
+        const marginalImportPrice = greedyResults.metrics.after.gridImport > financials.proportionalTier1Limit
+            ? prices.tier2ImportPrice
+            : prices.tier1ImportPrice;
+
+        return {
+            importPrices: data.map(() => marginalImportPrice),
+            exportPrices: data.map(() => prices.exportPrice)
+        };
+    },
+
+    /**
+     * Grid flows for a stored-energy change, mirroring the greedy simulation rules
+     * @returns {Object|null} { importKwh, exportKwh, chargeKwh, dischargeKwh, deliveredKwh, gridChargeKwh, dcChargeKwh } or null if infeasible
+     */
+    applyStep(point, storedDeltaKwh, config, gridChargeKwh) {
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const maxChargeKwh = config.maxChargeRateKw * intervalHours;
+        const maxDischargeKwh = config.maxDischargeRateKw * intervalHours;
+        const tolerance = 1e-9;
+
+        // Grid flows before the battery acts (inverter-level netting in asymmetric mode)
+        let importKwh = point.importKwh;
+        let exportKwh = point.exportKwh;
+        if (config.inverterMode === 'asymmetric') {
+            const netBalance = point.exportKwh - point.importKwh;
+            importKwh = Math.max(0, -netBalance);
+            exportKwh = Math.max(0, netBalance);
+        }
+
+        if (Math.abs(storedDeltaKwh) < 1e-12) {
+            return { importKwh, exportKwh, chargeKwh: 0, dischargeKwh: 0, deliveredKwh: 0, gridChargeKwh: 0, dcChargeKwh: 0 };
+        }
+
+        if (storedDeltaKwh > 0) {
+            // Charge: clipped DC PV first (hybrid inverter, battery efficiency only), then AC surplus,
+            // then grid (arbitrage only)
+            const dcStoredKwh = Math.min(storedDeltaKwh, point.dcClippedKwh * config.batteryEfficiency);
+            const fromDc = dcStoredKwh / config.batteryEfficiency;
+            const acChargeKwh = BatterySimulation.getChargeInputKwh(storedDeltaKwh - dcStoredKwh);
+            const chargeKwh = fromDc + acChargeKwh;
+            if (chargeKwh > maxChargeKwh + tolerance) return null;
+
+            const fromSurplus = Math.min(acChargeKwh, exportKwh);
+            const fromGrid = acChargeKwh - fromSurplus;
+            if (fromGrid > gridChargeKwh + tolerance) return null;
+            // Without grid charging the battery can only absorb surplus
+            if (fromGrid > tolerance && config.dispatchStrategy !== 'arbitrage') return null;
+
+            return {
+                importKwh: importKwh + fromGrid,
+                exportKwh: exportKwh - fromSurplus,
+                chargeKwh: chargeKwh,
+                dischargeKwh: 0,
+                deliveredKwh: 0,
+                gridChargeKwh: fromGrid,
+                dcChargeKwh: fromDc
+            };
+        }
+
+        // Discharge: DC energy drawn is limited by the remaining import (as in the greedy rule)
+        const dischargeKwh = -storedDeltaKwh;
+        if (dischargeKwh > maxDischargeKwh + tolerance) return null;
+        if (exportKwh > 0 && config.inverterMode === 'symmetric') return null;
+        if (dischargeKwh > importKwh + tolerance) return null;
+        const deliveredKwh = BatterySimulation.getConversion('discharge', dischargeKwh).outputKwh;
+        if (deliveredKwh > point.dischargeCapKwh + tolerance) return null;
+
+        return {
+            importKwh: importKwh - deliveredKwh,
+            exportKwh: exportKwh,
+            chargeKwh: 0,
+            dischargeKwh: dischargeKwh,
+            deliveredKwh: deliveredKwh,
+            gridChargeKwh: 0,
+            dcChargeKwh: 0
+        };
+    },
+
+    /**
+     * Net cost of an interval (import cost - export revenue) for a stored-energy change
+     * @param {number} exportCapKwh - Export limit per interval, curtailed energy earns nothing
+     * @returns {number} Cost, Infinity if the action is infeasible
+     */
+    stepCost(point, storedDeltaKwh, config, gridChargeKwh, importPrice, exportPrice, exportCapKwh = Infinity) {
+        const step = this.applyStep(point, storedDeltaKwh, config, gridChargeKwh);
+        if (!step) return Infinity;
+        return step.importKwh * importPrice - Math.min(step.exportKwh, exportCapKwh) * exportPrice;
+    },
+
+    /**
+     * Stored-energy changes where the interval cost changes slope: absorbing exactly
+     * the clipped DC PV or the surplus, charging at full power (with grid), covering exactly
+     * the import or the hybrid inverter headroom, absorbing exactly the export above the cap.
+     * @param {number} maxChargeKwh - AC charge limit for this interval
+     * @param {number} maxDischargeKwh - DC discharge limit for this interval
+     * @param {number} exportCapKwh - Export limit per interval
+     * @returns {Array<number>} Candidate stored-energy deltas in kWh
+     */
+    getKinkDeltas(point, config, gridChargeKwh, maxChargeKwh, maxDischargeKwh, exportCapKwh = Infinity) {
+        const flows = this.applyStep(point, 0, config, gridChargeKwh);
+
+        const dcKwh = point.dcClippedKwh;
+
+        // Stored energy for a charge energy (clipped DC PV first, the rest through the inverter)
+        const storedFrom = chargeKwh => {
+            const limitedKwh = Math.min(chargeKwh, maxChargeKwh);
+            const fromDc = Math.min(dcKwh, limitedKwh);
+            return fromDc * config.batteryEfficiency + BatterySimulation.getConversion('charge', limitedKwh - fromDc).outputKwh;
+        };
+
+        const kinks = [
+            storedFrom(dcKwh + flows.exportKwh),
+            -Math.min(flows.importKwh, maxDischargeKwh, point.dischargeCapKwh / config.dischargeEfficiency)
+        ];
+        if (dcKwh > 0) {
+            kinks.push(storedFrom(dcKwh));
+        }
+        if (gridChargeKwh > 0) {
+            kinks.push(storedFrom(dcKwh + flows.exportKwh + gridChargeKwh));
+        }
+        if (flows.exportKwh > exportCapKwh) {
+            kinks.push(storedFrom(dcKwh + flows.exportKwh - exportCapKwh));
+        }
+
+        return kinks.filter(deltaKwh => Math.abs(deltaKwh) > 1e-12);
+    },
+
+    /**
+     * Forward pass: pick the best action at the actual (continuous) SOC using the
+     * value function and build simulated data points
+     */
+    buildSchedule(data, values, prices, model, initialEnergyKwh) {
+        const { config, levels, levelKwh, minKwh, gridChargeKwh, flowData, exportCapKwh, baselineData } = model;
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const stateCount = levels + 1;
+        const rangeKwh = levels * levelKwh;
+        let energyKwh = initialEnergyKwh; // Stored energy above min SOC
+
+        return data.map((_, t) => {
+            const flows = flowData[t];
+            let bestDelta = 0;
+
+            if (levels > 0) {
+                const importPrice = prices.importPrices[t];
+                const exportPrice = prices.exportPrices[t];
+                const nextOffset = (t + 1) * stateCount;
+                const { maxUpKwh, maxDownKwh, maxChargeKwh } = this.getStepLimits(config, minKwh + energyKwh);
+
+                // Candidates: reachable grid levels, kink actions and idle
+                const candidates = [0, ...this.getKinkDeltas(flows, config, gridChargeKwh, maxChargeKwh, maxDownKwh, exportCapKwh)];
+                const lowestLevel = Math.max(0, Math.ceil((energyKwh - maxDownKwh) / levelKwh - 1e-9));
+                const highestLevel = Math.min(levels, Math.floor((energyKwh + maxUpKwh) / levelKwh + 1e-9));
+                for (let level = lowestLevel; level <= highestLevel; level++) {
+                    candidates.push(level * levelKwh - energyKwh);
+                }
+
+                let best = Infinity;
+                candidates.forEach(deltaKwh => {
+                    const nextKwh = energyKwh + deltaKwh;
+                    if (nextKwh < -1e-9 || nextKwh > rangeKwh + 1e-9) return;
+                    if (deltaKwh > maxUpKwh + 1e-9 || -deltaKwh > maxDownKwh + 1e-9) return;
+                    const cost = this.stepCost(flows, deltaKwh, config, gridChargeKwh, importPrice, exportPrice, exportCapKwh);
+                    if (cost === Infinity) return;
+                    const position = this.decayPosition(Math.min(levels, Math.max(0, nextKwh / levelKwh)), model);
+                    const total = cost + this.interpolate(values, nextOffset, position, levels);
+                    if (total < best) {
+                        best = total;
+                        bestDelta = deltaKwh;
+                    }
+                });
+            }
+
+            const step = this.applyStep(flows, bestDelta, config, gridChargeKwh);
+            energyKwh = Math.min(rangeKwh, Math.max(0, energyKwh + bestDelta));
+
+            // Self-discharge over the interval (not below min SOC, as in the value function)
+            const selfDischargeKwh = Math.min(energyKwh, (minKwh + energyKwh) * model.decay);
+            energyKwh -= selfDischargeKwh;
+
+            const socKwh = minKwh + energyKwh;
+            const curtailedKwh = Math.max(0, step.exportKwh - exportCapKwh);
+            const lossKwh = step.chargeKwh > 0
+                ? step.chargeKwh - bestDelta
+                : step.dischargeKwh - step.deliveredKwh;
+            const inverterLossKwh = step.chargeKwh > 0
+                ? BatterySimulation.getConversion('charge', step.chargeKwh - step.dcChargeKwh).inverterLossKwh
+                : BatterySimulation.getConversion('discharge', step.dischargeKwh).inverterLossKwh;
+
+            return {
+                ...baselineData[t],
+                batterySocPercent: config.capacityKwh > 0 ? (socKwh / config.capacityKwh) * 100 : 0,
+                batterySocKwh: socKwh,
+                batteryChargeKw: step.chargeKwh / intervalHours,
+                batteryDischargeKw: step.dischargeKwh / intervalHours,
+                batteryLossKw: lossKwh / intervalHours,
+                inverterLossKw: inverterLossKwh / intervalHours,
+                gridChargeKw: step.gridChargeKwh / intervalHours,
+                selfDischargeKw: selfDischargeKwh / intervalHours,
+                standbyKw: flows.standbyKwh / intervalHours,
+                curtailedWithBatteryKwh: curtailedKwh,
+                dcClippedKwh: flows.dcClippedKwh,
+                inverterClippedKwh: flows.dcClippedKwh - step.dcChargeKwh,
+                gridImportWithBattery: step.importKwh,
+                gridExportWithBattery: step.exportKwh - curtailedKwh
+            };
+        });
+    }
+};
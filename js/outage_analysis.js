@@ -0,0 +1,171 @@
+/**
+ * Outage Analysis Module
+ * Grid-outage resilience: replays outage windows in island mode on top of the simulated
+ * battery state and reports how many outage hours the battery (with PV) could have bridged.
+ * An outage is a { startMs, endMs } window; the whole SOC window down to min SOC
+ * (including the backup reserve) is available while the grid is down.
+ */
+const OutageAnalysis = {
+    /**
+     * Parse manual outages ("YYYY-MM-DD HH:MM, hours" entries separated by new lines or ";")
+     * @param {string} text - Outage list
+     * @returns {Array|null} Sorted outages, null if the text is invalid
+     */
+    parseOutages(text) {
+        const entries = String(text).split(/[;\n]/)
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0);
+
+        const outages = entries.map(entry => {
+            const [start, hours] = entry.split(',').map(part => part.trim());
+            const startMs = new Date(String(start).replace(' ', 'T')).getTime();
+            const durationHours = parseFloat(hours);
+            return { startMs: startMs, endMs: startMs + durationHours * 60 * 60 * 1000 };
+        });
+
+        const isValid = outages.length >= 1 && outages.every(outage =>
+            !isNaN(outage.startMs) && !isNaN(outage.endMs) && outage.endMs > outage.startMs
+        );
+        if (!isValid) return null;
+
+        return outages.sort((a, b) => a.startMs - b.startMs);
+    },
+
+    /**
+     * Generate random outages inside the data range (reproducible for a given seed)
+     * Start times are uniform over the range, durations vary between 0.5x and 1.5x the
+     * average, both rounded to the data interval.
+     * @param {Array} data - Timeline with timestampMs
+     * @param {number} count - Number of outages
+     * @param {number} averageHours - Average outage duration in hours
+     * @param {number} seed - Random seed
+     * @returns {Array} Sorted outages
+     */
+    generateRandomOutages(data, count, averageHours, seed = 1) {
+        if (data.length === 0 || count <= 0 || averageHours <= 0) return [];
+
+        const random = this.createRandom(seed);
+        const intervalMs = BatterySimulation.config.intervalMinutes * 60 * 1000;
+        const rangeStartMs = data[0].timestampMs;
+        const rangeEndMs = data[data.length - 1].timestampMs + intervalMs;
+
+        const outages = [];
+        for (let i = 0; i < count; i++) {
+            const durationMs = Math.max(1, Math.round(averageHours * 3600000 * (0.5 + random()) / intervalMs)) * intervalMs;
+            const latestStartMs = Math.max(rangeStartMs, rangeEndMs - durationMs);
+            const startMs = rangeStartMs + Math.floor(random() * (latestStartMs - rangeStartMs) / intervalMs) * intervalMs;
+            outages.push({ startMs: startMs, endMs: startMs + durationMs });
+        }
+
+        return outages.sort((a, b) => a.startMs - b.startMs);
+    },
+
+    /**
+     * Small seeded pseudo-random generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {Function} Generator returning values in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Replay one outage in island mode, starting from the simulated SOC
+     * PV surplus charges the battery (export is impossible), a deficit must be covered by the
+     * battery within its discharge limit - otherwise the interval is not bridged.
+     * @param {Array} simulatedData - Output points of BatterySimulation.simulate
+     * @param {Object} outage - { startMs, endMs }
+     * @returns {Object} Outage result
+     */
+    simulateOutage(simulatedData, outage) {
+        const config = BatterySimulation.config;
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const intervals = simulatedData.filter(point =>
+            point.timestampMs >= outage.startMs && point.timestampMs < outage.endMs
+        );
+
+        const result = {
+            startMs: outage.startMs,
+            endMs: outage.endMs,
+            durationHours: (outage.endMs - outage.startMs) / (60 * 60 * 1000),
+            coveredHours: intervals.length * intervalHours, // Outage hours inside the data range
+            bridgedHours: 0,
+            unservedKwh: 0,
+            startSocPercent: null,
+            hoursUntilFirstFailure: null,
+            fullyBridged: false
+        };
+        if (intervals.length === 0) return result;
+
+        // SOC at the start of the outage = SOC at the end of the previous interval
+        const firstIndex = simulatedData.indexOf(intervals[0]);
+        let socKwh = firstIndex > 0 ? simulatedData[firstIndex - 1].batterySocKwh : intervals[0].batterySocKwh;
+        const startCapacityKwh = intervals[0].batteryCapacityKwh || config.capacityKwh;
+        result.startSocPercent = startCapacityKwh > 0 ? (socKwh / startCapacityKwh) * 100 : 0;
+
+        intervals.forEach(point => {
+            const capacityKwh = point.batteryCapacityKwh || config.capacityKwh;
+            const minKwh = config.minSocPercent / 100 * capacityKwh;
+            const maxKwh = config.maxSocPercent / 100 * capacityKwh;
+            const powerLimits = BatterySimulation.getPowerLimits(capacityKwh > 0 ? (socKwh / capacityKwh) * 100 : 0);
+
+            // Household load minus PV (negative = surplus), inverter standby keeps running
+            const netLoadKwh = point.importKwh - point.exportKwh - (point.curtailedKwh || 0) + (point.standbyKw || 0) * intervalHours;
+
+            if (netLoadKwh <= 0) {
+                // PV covers the load, surplus charges the battery
+                const chargeKwh = Math.min(-netLoadKwh, powerLimits.maxChargeKw * intervalHours, Math.max(0, maxKwh - socKwh) / config.chargeEfficiency);
+                socKwh += BatterySimulation.getConversion('charge', chargeKwh).outputKwh;
+                result.bridgedHours += intervalHours;
+            } else {
+                // Efficiency at the power the load needs (efficiency curve)
+                const dischargeEfficiency = BatterySimulation.getEfficiency('discharge', netLoadKwh / intervalHours);
+                const neededKwh = netLoadKwh / dischargeEfficiency;
+                const dischargeKwh = Math.min(neededKwh, powerLimits.maxDischargeKw * intervalHours, Math.max(0, socKwh - minKwh));
+                socKwh -= dischargeKwh;
+
+                const unservedKwh = (neededKwh - dischargeKwh) * dischargeEfficiency;
+                if (unservedKwh > 1e-6) {
+                    result.unservedKwh += unservedKwh;
+                    if (result.hoursUntilFirstFailure === null) {
+                        result.hoursUntilFirstFailure = result.bridgedHours;
+                    }
+                } else {
+                    result.bridgedHours += intervalHours;
+                }
+            }
+        });
+
+        result.fullyBridged = result.hoursUntilFirstFailure === null;
+        return result;
+    },
+
+    /**
+     * Resilience statistics for a set of outages
+     * @param {Array} simulatedData - Output points of BatterySimulation.simulate
+     * @param {Array} outages - { startMs, endMs } windows
+     * @returns {Object} { outages: Array, outageHours, bridgedHours, bridgedPercent, fullyBridgedCount, unservedKwh }
+     */
+    analyze(simulatedData, outages) {
+        const results = outages.map(outage => this.simulateOutage(simulatedData, outage));
+
+        const outageHours = results.reduce((sum, outage) => sum + outage.coveredHours, 0);
+        const bridgedHours = results.reduce((sum, outage) => sum + outage.bridgedHours, 0);
+
+        return {
+            outages: results,
+            outageHours,
+            bridgedHours,
+            bridgedPercent: outageHours > 0 ? (bridgedHours / outageHours) * 100 : 0,
+            fullyBridgedCount: results.filter(outage => outage.coveredHours > 0 && outage.fullyBridged).length,
+            unservedKwh: results.reduce((sum, outage) => sum + outage.unservedKwh, 0)
+        };
+    }
+};
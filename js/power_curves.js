@@ -0,0 +1,112 @@
+/**
+ * Power Curves Module
+ * SOC-dependent charge/discharge power limits (CC/CV taper near full, derating near empty).
+ * A curve is a list of { socPercent, factor } points, linearly interpolated;
+ * factor scales maxChargeRateKw / maxDischargeRateKw.
+ */
+const PowerCurves = {
+    /**
+     * Chemistry presets
+     */
+    presets: {
+        flat: {
+            label: 'Flat (No Taper)',
+            charge: [{ socPercent: 0, factor: 1 }, { socPercent: 100, factor: 1 }],
+            discharge: [{ socPercent: 0, factor: 1 }, { socPercent: 100, factor: 1 }]
+        },
+        lfp: {
+            label: 'LFP',
+            charge: [
+                { socPercent: 0, factor: 1 },
+                { socPercent: 90, factor: 1 },
+                { socPercent: 95, factor: 0.5 },
+                { socPercent: 100, factor: 0.1 }
+            ],
+            discharge: [
+                { socPercent: 0, factor: 0.2 },
+                { socPercent: 5, factor: 0.5 },
+                { socPercent: 10, factor: 1 },
+                { socPercent: 100, factor: 1 }
+            ]
+        },
+        nmc: {
+            label: 'NMC',
+            charge: [
+                { socPercent: 0, factor: 1 },
+                { socPercent: 80, factor: 1 },
+                { socPercent: 90, factor: 0.6 },
+                { socPercent: 100, factor: 0.2 }
+            ],
+            discharge: [
+                { socPercent: 0, factor: 0.3 },
+                { socPercent: 10, factor: 0.7 },
+                { socPercent: 20, factor: 1 },
+                { socPercent: 100, factor: 1 }
+            ]
+        }
+    },
+
+    /**
+     * Get a deep copy of a preset (falls back to flat)
+     * @param {string} name - 'flat' | 'lfp' | 'nmc'
+     * @returns {Object} { charge: Array, discharge: Array }
+     */
+    getPreset(name) {
+        const preset = this.presets[name] || this.presets.flat;
+        return JSON.parse(JSON.stringify({ charge: preset.charge, discharge: preset.discharge }));
+    },
+
+    /**
+     * Power factor at a given SOC (linear interpolation, clamped at the curve ends)
+     * @param {Array} curve - Sorted { socPercent, factor } points
+     * @param {number} socPercent - State of charge in %
+     * @returns {number} Factor between 0 and 1
+     */
+    getFactor(curve, socPercent) {
+        if (!curve || curve.length === 0) return 1;
+        if (socPercent <= curve[0].socPercent) return curve[0].factor;
+
+        for (let i = 1; i < curve.length; i++) {
+            const upper = curve[i];
+            if (socPercent <= upper.socPercent) {
+                const lower = curve[i - 1];
+                const span = upper.socPercent - lower.socPercent;
+                const fraction = span > 0 ? (socPercent - lower.socPercent) / span : 1;
+                return lower.factor + (upper.factor - lower.factor) * fraction;
+            }
+        }
+
+        return curve[curve.length - 1].factor;
+    },
+
+    /**
+     * Format a curve for the text input ("0:1, 90:1, 100:0.1")
+     */
+    formatCurve(curve) {
+        return curve.map(point => `${point.socPercent}:${point.factor}`).join(', ');
+    },
+
+    /**
+     * Parse a curve from text ("SOC%:factor" pairs separated by commas)
+     * @param {string} text - Curve definition
+     * @returns {Array|null} Sorted curve points, null if the text is invalid
+     */
+    parseCurve(text) {
+        const points = String(text).split(',')
+            .map(pair => pair.trim())
+            .filter(pair => pair.length > 0)
+            .map(pair => {
+                const [soc, factor] = pair.split(':').map(v => parseFloat(v));
+                return { socPercent: soc, factor: factor };
+            });
+
+        const isValid = points.length >= 1 && points.every(point =>
+            !isNaN(point.socPercent) && !isNaN(point.factor) &&
+            point.socPercent >= 0 && point.socPercent <= 100 &&
+            point.factor >= 0 && point.factor <= 1
+        );
+        if (!isValid) return null;
+
+        return points.sort((a, b) => a.socPercent - b.socPercent);
+    }
+};
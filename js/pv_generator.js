@@ -0,0 +1,188 @@
+/**
+ * PV Generator Module
+ * Synthetic PV production for prospects without a solar system, computed offline from location
+ * and array geometry. Clear-sky irradiance (Haurwitz) or hand-entered monthly clearness indices
+ * give global horizontal irradiance; the Erbs model splits it into beam and diffuse, and an
+ * isotropic sky model transposes it to the array plane.
+ * Timestamps are interpreted in the browser's time zone, which should match the site.
+ */
+const PvGenerator = {
+    /**
+     * Default array parameters (azimuth in compass degrees: 90 = east, 180 = south, 270 = west)
+     */
+    defaults: {
+        latitude: 47.5,
+        longitude: 19.04,
+        tiltDeg: 35,
+        azimuthDeg: 180,
+        kWp: 5,
+        lossesPercent: 14,
+        clearness: null // 12 monthly clearness indices (Jan-Dec), null = clear sky
+    },
+
+    /**
+     * Ground reflectance for the reflected irradiance component
+     */
+    albedo: 0.2,
+
+    /**
+     * Irradiance samples per interval are spaced this far apart (minutes)
+     */
+    sampleMinutes: 5,
+
+    /**
+     * Parse monthly clearness indices (12 values Jan-Dec separated by commas)
+     * @param {string} text - Clearness index list
+     * @returns {Array|null} 12 indices between 0 and 1, null if the text is invalid
+     */
+    parseClearness(text) {
+        const values = String(text).split(',')
+            .map(value => value.trim())
+            .filter(value => value.length > 0)
+            .map(value => parseFloat(value));
+
+        const isValid = values.length === 12 && values.every(value => !isNaN(value) && value > 0 && value <= 1);
+        return isValid ? values : null;
+    },
+
+    /**
+     * Sun position (NOAA approximation)
+     * @param {number} timestampMs - Time (UTC milliseconds)
+     * @param {number} latitude - Degrees, north positive
+     * @param {number} longitude - Degrees, east positive
+     * @returns {Object} { cosZenith, azimuthDeg, extraterrestrialWm2 }
+     */
+    getSolarPosition(timestampMs, latitude, longitude) {
+        const date = new Date(timestampMs);
+        const yearStartMs = Date.UTC(date.getUTCFullYear(), 0, 1);
+        const dayOfYear = Math.floor((timestampMs - yearStartMs) / 86400000) + 1;
+        const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+        // Fractional year (radians)
+        const g = 2 * Math.PI / 365 * (dayOfYear - 1 + (utcHours - 12) / 24);
+        const equationOfTimeMin = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+            - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+        const declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+            - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+            - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+        const trueSolarTimeMin = utcHours * 60 + equationOfTimeMin + 4 * longitude;
+        const hourAngle = (trueSolarTimeMin / 4 - 180) * Math.PI / 180;
+        const phi = latitude * Math.PI / 180;
+
+        const cosZenith = Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+        // Azimuth from north, clockwise
+        const azimuth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi));
+
+        return {
+            cosZenith: Math.max(-1, Math.min(1, cosZenith)),
+            azimuthDeg: (azimuth * 180 / Math.PI + 180) % 360,
+            extraterrestrialWm2: 1361 * (1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365))
+        };
+    },
+
+    /**
+     * Irradiance on the array plane
+     * @param {Object} position - Output of getSolarPosition
+     * @param {Object} array - { tiltDeg, azimuthDeg }
+     * @param {number|null} clearnessIndex - Monthly clearness index, null = clear sky
+     * @returns {number} Plane-of-array irradiance (W/m²)
+     */
+    getPlaneIrradiance(position, array, clearnessIndex) {
+        const { cosZenith, azimuthDeg, extraterrestrialWm2 } = position;
+        if (cosZenith <= 0.01) return 0; // Sun below (or at) the horizon
+
+        // Global horizontal irradiance: Haurwitz clear sky or clearness index x extraterrestrial
+        const ghi = clearnessIndex === null
+            ? 1098 * cosZenith * Math.exp(-0.057 / cosZenith)
+            : clearnessIndex * extraterrestrialWm2 * cosZenith;
+
+        // Erbs diffuse fraction from the clearness of this moment
+        const kt = Math.min(1, ghi / (extraterrestrialWm2 * cosZenith));
+        const diffuseFraction = kt <= 0.22
+            ? 1 - 0.09 * kt
+            : kt <= 0.8
+                ? 0.9511 - 0.1604 * kt + 4.388 * kt ** 2 - 16.638 * kt ** 3 + 12.336 * kt ** 4
+                : 0.165;
+        const dhi = ghi * diffuseFraction;
+        const dni = (ghi - dhi) / cosZenith;
+
+        // Angle of incidence on the tilted plane
+        const tilt = array.tiltDeg * Math.PI / 180;
+        const sinZenith = Math.sqrt(1 - cosZenith * cosZenith);
+        const cosIncidence = cosZenith * Math.cos(tilt)
+            + sinZenith * Math.sin(tilt) * Math.cos((azimuthDeg - array.azimuthDeg) * Math.PI / 180);
+
+        // Beam + isotropic sky diffuse + ground reflected
+        return dni * Math.max(0, cosIncidence)
+            + dhi * (1 + Math.cos(tilt)) / 2
+            + ghi * this.albedo * (1 - Math.cos(tilt)) / 2;
+    },
+
+    /**
+     * Generate a production series with the same row format as an uploaded solar file
+     * @param {Object} options - { latitude, longitude, tiltDeg, azimuthDeg, kWp, lossesPercent, clearness }
+     * @param {number} startMs - First interval start (timestamp ms)
+     * @param {number} endMs - Last interval start (timestamp ms, inclusive)
+     * @param {number} intervalMinutes - Interval length in minutes
+     * @returns {Array} Rows { timestamp, timestampMs, productionKw }, mergeable via DataMerger.mergeDatasets
+     */
+    generate(options, startMs, endMs, intervalMinutes = 15) {
+        const params = { ...this.defaults, ...options };
+        const stepMs = intervalMinutes * 60000;
+        const samples = Math.max(1, Math.round(intervalMinutes / this.sampleMinutes));
+        const kwPerWm2 = params.kWp / 1000 * (1 - params.lossesPercent / 100);
+
+        const rows = [];
+        for (let ms = startMs; ms <= endMs; ms += stepMs) {
+            const clearnessIndex = params.clearness ? params.clearness[new Date(ms).getMonth()] : null;
+
+            // Average irradiance over the interval (samples at the sub-interval midpoints)
+            let irradiance = 0;
+            for (let i = 0; i < samples; i++) {
+                const sampleMs = ms + (i + 0.5) * stepMs / samples;
+                const position = this.getSolarPosition(sampleMs, params.latitude, params.longitude);
+                irradiance += this.getPlaneIrradiance(position, params, clearnessIndex);
+            }
+
+            rows.push({
+                timestamp: new Date(ms),
+                timestampMs: ms,
+                productionKw: irradiance / samples * kwPerWm2
+            });
+        }
+        return rows;
+    },
+
+    /**
+     * Net a consumption-only meter file against generated production
+     * The measured import (minus any export) is the household load; PV covers it first,
+     * the surplus is exported.
+     * @param {Array} gridData - Processed grid rows of a site without PV
+     * @param {Array} solarData - Generated production at the same interval
+     * @param {number} intervalMinutes - Interval length in minutes
+     * @returns {Array} Grid rows with importKwh/exportKwh of the site with the PV array
+     */
+    netGridData(gridData, solarData, intervalMinutes = 15) {
+        const intervalHours = intervalMinutes / 60;
+        const productionByTime = new Map(solarData.map(row => [row.timestampMs, row.productionKw]));
+
+        return gridData.map(row => {
+            const loadKwh = Math.max(0, row.importKwh - row.exportKwh);
+            const pvKwh = (productionByTime.get(row.timestampMs) || 0) * intervalHours;
+            const netted = {
+                ...row,
+                importKwh: Math.max(0, loadKwh - pvKwh),
+                exportKwh: Math.max(0, pvKwh - loadKwh)
+            };
+            // Per-phase meter data: the PV inverter feeds the phases equally
+            if (row.phases) {
+                netted.phases = row.phases.map(phase => {
+                    const phaseNetKwh = Math.max(0, phase.importKwh - phase.exportKwh) - pvKwh / row.phases.length;
+                    return { ...phase, importKwh: Math.max(0, phaseNetKwh), exportKwh: Math.max(0, -phaseNetKwh) };
+                });
+            }
+            return netted;
+        });
+    }
+};
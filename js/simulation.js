@@ -1,6 +1,8 @@
 /**
  * Battery Simulation Module
  * Calculates battery charge/discharge cycles and optimization metrics
+ * No DOM access: also runs inside js/simulation_worker.js (with tariff, power_curves,
+ * efficiency_curves and load_scenarios), so new dependencies must be added to its importScripts.
  */
 const BatterySimulation = {
     // Configuration
@@ -8,12 +10,43 @@ const BatterySimulation = {
         capacityKwh: 10,
         chargeEfficiency: 0.96,
         dischargeEfficiency: 0.92,
+        batteryEfficiency: 0.975, // One-way battery (cell) efficiency, the rest of charge/discharge efficiency is the inverter
+        efficiencyCurvePreset: 'constant', // 'constant' | 'hybrid' | 'legacy' | 'custom' (load-dependent inverter efficiency)
+        inverterEfficiencyCurve: null, // Custom curve [{ loadPercent, efficiencyPercent }], null = preset
         maxChargeRateKw: 5,
         maxDischargeRateKw: 5,
+        powerCurvePreset: 'flat', // 'flat' | 'lfp' | 'nmc' | 'custom' (SOC-dependent power limits)
+        chargePowerCurve: null, // Custom charge curve [{ socPercent, factor }], null = preset
+        dischargePowerCurve: null, // Custom discharge curve [{ socPercent, factor }], null = preset
         minSocPercent: 10,
+        backupReservePercent: 0, // SOC kept for grid outages, normal dispatch never discharges below it (0 = no reserve)
+        selfDischargePercentPerMonth: 0, // Stored energy lost per month while idle (%)
+        standbyPowerW: 0, // Inverter/BMS auxiliary consumption while the battery system is installed (W)
         maxSocPercent: 90,
         inverterMode: 'asymmetric', // 'asymmetric' | 'symmetric'
+        inverterCoupling: 'ac', // 'ac' (separate battery inverter, retrofit) | 'dc' (hybrid inverter shared by PV and battery)
+        inverterRatingKva: null, // AC nameplate of the battery/hybrid inverter (kVA, unity power factor), null = unlimited
+        exportLimitKw: null, // Max grid export power (kW), 0 = zero-export, null = unlimited
+        pvScaleFactor: 1, // Hypothetical PV size relative to the measured array (new kWp / existing kWp), 1 = as measured
+        loadScenario: null, // Future loads layered onto the data { ev, heatPump } (LoadScenarios), null = measured load only
+        initialSocPercent: null, // SOC at the start of the range, null = dispatch floor (min SOC / backup reserve)
+        steadyState: false, // Run the range twice, the second pass starts from the final SOC of the first
+        dispatchStrategy: 'self-consumption', // 'self-consumption' | 'arbitrage' | 'peak-shaving'
+        gridChargeMaxKw: 3, // Arbitrage: max power drawn from grid to charge the battery
+        arbitrageTargetSocPercent: 90, // Arbitrage: SOC to charge up to from the grid, guaranteed by arbitrageTargetTime
+        arbitrageTargetTime: '06:00', // Arbitrage: daily deadline for the target SOC
+        peakShavingLimitKw: 5, // Peak shaving: grid import power the battery keeps the site under
+        peakShavingReserveSocPercent: 50, // Peak shaving: SOC held back for clipping (refilled from the grid below the limit)
+        peakShavingSelfConsumption: true, // Peak shaving: also discharge for self-consumption above the reserve
+        demandChargePerKw: 0, // Cost per kW of monthly peak import (selected currency), 0 = no demand charge
+        degradationEnabled: false, // Shrink usable capacity with cycle and calendar aging
+        cycleFadePercentPerCycle: 0.005, // Capacity lost per equivalent full cycle (% of nominal)
+        calendarFadePercentPerYear: 1.0, // Capacity lost per year regardless of use (% of nominal)
+        endOfLifeSohPercent: 70, // State of health at which the battery is considered worn out
+        intervalMinutes: 15, // Length of one data interval, detected from the imported data (5, 15, 30, 60, ...)
         currency: 'HUF', // 'HUF' | 'EUR'
+        tariffMode: 'tiered', // 'tiered' (Tier1/Tier2) | 'tou' (time-of-use schedule)
+        touSchedule: null, // TOU schedule in the selected currency, null = TariffEngine default
         pricing: {
             HUF: {
                 tier1ImportPrice: 36,
@@ -33,26 +66,107 @@ const BatterySimulation = {
     /**
      * Run simulation and calculate metrics
      * @param {Array} mergedData - Timeline with solar and grid data
-     * @returns {Object} { simulatedData: Array, metrics: Object }
+     * @param {number|null} initialSocKwh - Stored energy at the start (null = from config)
+     * @returns {Object} { simulatedData: Array, metrics: Object, initialSocKwh: number }
      */
-    simulate(mergedData) {
-        let socKwh = this.config.capacityKwh * (this.config.minSocPercent / 100);
+    simulate(mergedData, initialSocKwh = null) {
+        // Steady state: a warm-up pass finds the end-of-range SOC, the reported pass starts from it
+        if (initialSocKwh === null && this.config.steadyState && mergedData.length > 0) {
+            const warmup = this.simulate(mergedData, this.getInitialSocKwh());
+            const finalSocKwh = warmup.simulatedData[warmup.simulatedData.length - 1].batterySocKwh;
+            return this.simulate(mergedData, finalSocKwh);
+        }
+        
+        // Hypothetical PV size and future loads (EV, heat pump) on top of the measured data
+        const measuredData = mergedData;
+        mergedData = this.prepareTimeline(mergedData);
+        
+        const startSocKwh = initialSocKwh !== null ? initialSocKwh : this.getInitialSocKwh();
+        const intervalHours = this.getIntervalHours(); // Energy (kWh) = power (kW) * intervalHours
+        let socKwh = startSocKwh;
         const simulatedData = [];
         
+        // Degradation: usable capacity follows state of health (SOH) over the whole range
+        const startMs = mergedData.length > 0 ? mergedData[0].timestampMs : 0;
+        let throughputKwh = 0; // Cumulative DC-side energy in + out
+        let sohPercent = 100;
+        let endOfLifeTimestamp = null;
+        
+        // Export limit: the baseline is capped too, excess PV is curtailed in both scenarios
+        const exportCapKwh = this.getExportCapKwh();
+        const baselineData = this.applyExportLimit(mergedData);
+        
         // Calculate before metrics (baseline without battery)
-        const beforeMetrics = this.calculateBaselineMetrics(mergedData);
+        const beforeMetrics = this.calculateBaselineMetrics(baselineData);
+        
+        // Price arbitrage: precompute cheap windows and deadlines from the price series
+        const isArbitrage = this.config.dispatchStrategy === 'arbitrage';
+        const arbitrageSignals = isArbitrage ? this.buildArbitrageSignals(mergedData) : null;
+        let gridEnergyInBattery = 0; // Stored kWh that originates from grid charging
+        let arbitrageChargeCost = 0;
+        let arbitrageDischargeValue = 0;
+        
+        const isPeakShaving = this.config.dispatchStrategy === 'peak-shaving';
         
         // Run simulation with battery
-        mergedData.forEach(point => {
+        mergedData.forEach((point, i) => {
+            // Usable capacity for this interval (nominal capacity if degradation is off)
+            if (this.config.degradationEnabled) {
+                sohPercent = this.calculateSoh(throughputKwh, point.timestampMs - startMs);
+                if (endOfLifeTimestamp === null && sohPercent <= this.config.endOfLifeSohPercent) {
+                    endOfLifeTimestamp = point.timestamp;
+                }
+            }
+            const capacityKwh = this.config.capacityKwh * (sohPercent / 100);
+            
+            // Capacity fade removes energy above the (shrinking) max SOC
+            const maxSocKwh = this.config.maxSocPercent / 100 * capacityKwh;
+            if (socKwh > maxSocKwh) {
+                socKwh = maxSocKwh;
+                gridEnergyInBattery = Math.min(gridEnergyInBattery, socKwh);
+            }
+            
+            // SOC-dependent power limits (taper near full, derating near empty)
+            const powerLimits = this.getPowerLimits(capacityKwh > 0 ? (socKwh / capacityKwh) * 100 : 0);
+            
+            // Standby consumption of inverter/BMS is an extra load the battery system adds,
+            // a hybrid inverter clips PV above its AC rating and limits discharge to the rating PV leaves free
+            const flows = this.getGridFlows(point);
+            const { importKwh, exportKwh, standbyKwh, phases } = flows;
+            const maxDischargeKwh = Math.min(powerLimits.maxDischargeKw * intervalHours, flows.dischargeCapKwh / this.config.dischargeEfficiency);
+            
             let batteryChargeKw = 0;
             let batteryDischargeKw = 0;
             let batteryLossKw = 0;
-            let gridImportWithBattery = point.importKwh;
-            let gridExportWithBattery = point.exportKwh;
+            let inverterLossKwh = 0; // Inverter share of batteryLossKw (the rest is battery round-trip loss)
+            let deliveredKwh = 0; // AC energy delivered by the battery
+            let gridChargeKw = 0;
+            let gridImportWithBattery = importKwh;
+            let gridExportWithBattery = exportKwh;
+            
+            // DC coupling: PV clipped by the hybrid inverter charges the battery directly (otherwise lost),
+            // skipping the inverter conversion
+            let dcChargeKwh = 0;
+            if (flows.dcClippedKwh > 0) {
+                dcChargeKwh = Math.min(flows.dcClippedKwh, powerLimits.maxChargeKw * intervalHours, Math.max(0, maxSocKwh - socKwh) / this.config.batteryEfficiency);
+                const energyStored = dcChargeKwh * this.config.batteryEfficiency;
+                socKwh += energyStored;
+                batteryChargeKw = dcChargeKwh / intervalHours;
+                batteryLossKw = (dcChargeKwh - energyStored) / intervalHours;
+            }
+            const inverterClippedKwh = flows.dcClippedKwh - dcChargeKwh;
+            
+            // Arbitrage holds stored energy during cheap windows (grid is cheaper than the battery),
+            // unless the forecast PV surplus refills the battery anyway (discharging is then free)
+            const holdDischarge = isArbitrage && arbitrageSignals.cheap[i] && socKwh + arbitrageSignals.solarFillKwh[i] < maxSocKwh;
+            // Share of stored energy that was charged from the grid (for arbitrage profit)
+            const gridShare = socKwh > 0 ? gridEnergyInBattery / socKwh : 0;
             
-            if (this.config.inverterMode === 'asymmetric') {
+            // Per-phase meter data: the battery regulates on the summed meter reading in both modes,
+            // the inverter mode decides how its power is split across the phases (allocatePhases)
+            if (phases || this.config.inverterMode === 'asymmetric') {
                 // Asymmetric Mode: Calculate net balance
-                const netBalance = point.exportKwh - point.importKwh;
+                const netBalance = exportKwh - importKwh;
                 
                 if (netBalance > 0) {
                     // Surplus available - Inverter nets import to zero, then charge battery from remaining export
@@ -61,20 +175,22 @@ const BatterySimulation = {
                     gridExportWithBattery = netBalance;
                     
                     // Now try to charge battery from the remaining export
-                    const chargeRequest = Math.min(netBalance, this.config.maxChargeRateKw * 0.25);
-                    const maxChargeKwh = (this.config.maxSocPercent / 100 * this.config.capacityKwh) - socKwh;
+                    const chargeRequest = Math.min(netBalance, powerLimits.maxChargeKw * intervalHours - dcChargeKwh);
+                    const maxChargeKwh = maxSocKwh - socKwh;
                     const actualCharge = Math.min(chargeRequest, Math.max(0, maxChargeKwh));
                     
                     if (actualCharge > 0) {
-                        const energyStored = actualCharge * this.config.chargeEfficiency;
+                        const conversion = this.getConversion('charge', actualCharge);
+                        const energyStored = conversion.outputKwh;
                         socKwh += energyStored;
                         const chargeLoss = actualCharge - energyStored;
+                        inverterLossKwh += conversion.inverterLossKwh;
                         
                         // Further reduce export by what battery absorbed
                         gridExportWithBattery = netBalance - actualCharge;
-                        batteryChargeKw = actualCharge / 0.25;
+                        batteryChargeKw += actualCharge / intervalHours;
                         batteryDischargeKw = 0;
-                        batteryLossKw = chargeLoss / 0.25;
+                        batteryLossKw += chargeLoss / intervalHours;
                     }
                 } else if (netBalance < 0) {
                     // Deficit to cover - Inverter nets export to zero, then discharge battery to reduce remaining import
@@ -83,69 +199,161 @@ const BatterySimulation = {
                     gridImportWithBattery = Math.abs(netBalance);
                     
                     // Now try to discharge battery to offset the remaining import
-                    const dischargeRequest = Math.min(Math.abs(netBalance), this.config.maxDischargeRateKw * 0.25);
-                    const availableDischargeKwh = socKwh - (this.config.minSocPercent / 100 * this.config.capacityKwh);
-                    const actualDischarge = Math.min(dischargeRequest, Math.max(0, availableDischargeKwh));
+                    const actualDischarge = this.getDischargeKwh(Math.abs(netBalance), socKwh, capacityKwh, maxDischargeKwh, holdDischarge);
                     
                     if (actualDischarge > 0) {
-                        const energyDelivered = actualDischarge * this.config.dischargeEfficiency;
+                        const conversion = this.getConversion('discharge', actualDischarge);
+                        const energyDelivered = conversion.outputKwh;
                         socKwh -= actualDischarge;
+                        gridEnergyInBattery -= actualDischarge * gridShare;
                         const dischargeLoss = actualDischarge - energyDelivered;
+                        inverterLossKwh = conversion.inverterLossKwh;
+                        deliveredKwh = energyDelivered;
                         
                         // Further reduce import by what battery provided
                         gridImportWithBattery = Math.abs(netBalance) - energyDelivered;
-                        batteryDischargeKw = actualDischarge / 0.25;
+                        batteryDischargeKw = actualDischarge / intervalHours;
                         batteryChargeKw = 0;
-                        batteryLossKw = dischargeLoss / 0.25;
+                        batteryLossKw = dischargeLoss / intervalHours;
                     }
                 }
             } else {
                 // Symmetric Mode: Separate charge/discharge logic
-                if (point.exportKwh > 0) {
+                if (exportKwh > 0) {
                     // Surplus available for charging, any export can be used to charge the battery
-                    const chargeRequest = Math.min(point.exportKwh, this.config.maxChargeRateKw * 0.25);
-                    const maxChargeKwh = (this.config.maxSocPercent / 100 * this.config.capacityKwh) - socKwh;
+                    const chargeRequest = Math.min(exportKwh, powerLimits.maxChargeKw * intervalHours - dcChargeKwh);
+                    const maxChargeKwh = maxSocKwh - socKwh;
                     const actualCharge = Math.min(chargeRequest, Math.max(0, maxChargeKwh));
                     
                     if (actualCharge > 0) {
-                        const energyStored = actualCharge * this.config.chargeEfficiency;
+                        const conversion = this.getConversion('charge', actualCharge);
+                        const energyStored = conversion.outputKwh;
                         socKwh += energyStored;
                         const chargeLoss = actualCharge - energyStored;
+                        inverterLossKwh += conversion.inverterLossKwh;
                         
-                        gridExportWithBattery = point.exportKwh - actualCharge;
-                        gridImportWithBattery = point.importKwh;
-                        batteryChargeKw = actualCharge / 0.25;
+                        gridExportWithBattery = exportKwh - actualCharge;
+                        gridImportWithBattery = importKwh;
+                        batteryChargeKw += actualCharge / intervalHours;
                         batteryDischargeKw = 0;
-                        batteryLossKw = chargeLoss / 0.25;
+                        batteryLossKw += chargeLoss / intervalHours;
                     }
-                } else if (point.importKwh > 0) {
+                } else if (importKwh > 0) {
                     // Deficit to be covered by discharging, any import can be offset by discharging the battery, but not that time when there is export, because in symmetric mode they are separated
-                    const dischargeRequest = Math.min(point.importKwh, this.config.maxDischargeRateKw * 0.25);
-                    const availableDischargeKwh = socKwh - (this.config.minSocPercent / 100 * this.config.capacityKwh);
-                    const actualDischarge = Math.min(dischargeRequest, Math.max(0, availableDischargeKwh));
+                    const actualDischarge = this.getDischargeKwh(importKwh, socKwh, capacityKwh, maxDischargeKwh, holdDischarge);
                     
                     if (actualDischarge > 0) {
-                        const energyDelivered = actualDischarge * this.config.dischargeEfficiency;
+                        const conversion = this.getConversion('discharge', actualDischarge);
+                        const energyDelivered = conversion.outputKwh;
                         socKwh -= actualDischarge;
+                        gridEnergyInBattery -= actualDischarge * gridShare;
                         const dischargeLoss = actualDischarge - energyDelivered;
+                        inverterLossKwh = conversion.inverterLossKwh;
+                        deliveredKwh = energyDelivered;
                         
-                        gridImportWithBattery = point.importKwh - energyDelivered;
-                        gridExportWithBattery = point.exportKwh;
-                        batteryDischargeKw = actualDischarge / 0.25;
+                        gridImportWithBattery = importKwh - energyDelivered;
+                        gridExportWithBattery = exportKwh;
+                        batteryDischargeKw = actualDischarge / intervalHours;
                         batteryChargeKw = 0;
-                        batteryLossKw = dischargeLoss / 0.25;
+                        batteryLossKw = dischargeLoss / intervalHours;
                     }
                 }
             }
             
-            // Store simulated data point
+            // Value of grid-sourced energy delivered back to the load (avoided import)
+            if (isArbitrage && batteryDischargeKw > 0) {
+                const gridSourcedDelivered = deliveredKwh * gridShare;
+                arbitrageDischargeValue += gridSourcedDelivered * arbitrageSignals.importPrices[i];
+            }
+            
+            // Price arbitrage: charge from the grid in cheap windows / to meet the target SOC
+            if (isArbitrage && batteryDischargeKw === 0) {
+                const gridChargeKwh = this.getGridChargeRequest(i, socKwh, capacityKwh, this.getGridChargeLimitKwh(powerLimits, flows, batteryChargeKw), batteryChargeKw * intervalHours, arbitrageSignals);
+                
+                if (gridChargeKwh > 0) {
+                    const conversion = this.getConversion('charge', gridChargeKwh);
+                    const energyStored = conversion.outputKwh;
+                    socKwh += energyStored;
+                    inverterLossKwh += conversion.inverterLossKwh;
+                    gridEnergyInBattery += energyStored;
+                    
+                    gridImportWithBattery += gridChargeKwh;
+                    gridChargeKw = gridChargeKwh / intervalHours;
+                    batteryChargeKw += gridChargeKw;
+                    batteryLossKw += (gridChargeKwh - energyStored) / intervalHours;
+                    arbitrageChargeCost += gridChargeKwh * arbitrageSignals.importPrices[i];
+                }
+            }
+            
+            // Peak shaving: refill the reserve from the grid with the headroom under the import limit
+            if (isPeakShaving && batteryDischargeKw === 0) {
+                const gridChargeKwh = this.getReserveChargeRequest(socKwh, capacityKwh, gridImportWithBattery, this.getGridChargeLimitKwh(powerLimits, flows, batteryChargeKw), batteryChargeKw * intervalHours);
+                
+                if (gridChargeKwh > 0) {
+                    const conversion = this.getConversion('charge', gridChargeKwh);
+                    const energyStored = conversion.outputKwh;
+                    socKwh += energyStored;
+                    inverterLossKwh += conversion.inverterLossKwh;
+                    
+                    gridImportWithBattery += gridChargeKwh;
+                    gridChargeKw = gridChargeKwh / intervalHours;
+                    batteryChargeKw += gridChargeKw;
+                    batteryLossKw += (gridChargeKwh - energyStored) / intervalHours;
+                }
+            }
+            
+            // Per-phase flows after the battery, summed flows follow the phase split
+            const phaseFlows = phases
+                ? this.allocatePhases(phases, batteryChargeKw * intervalHours - dcChargeKwh, deliveredKwh, gridImportWithBattery, gridExportWithBattery)
+                : null;
+            if (phaseFlows) {
+                gridImportWithBattery = phaseFlows.importKwh;
+                gridExportWithBattery = phaseFlows.exportKwh;
+            }
+            
+            // Export limit: surplus above the cap that the battery could not absorb is curtailed
+            const curtailedWithBatteryKwh = Math.max(0, gridExportWithBattery - exportCapKwh);
+            if (phaseFlows && curtailedWithBatteryKwh > 0) {
+                const keepShare = (gridExportWithBattery - curtailedWithBatteryKwh) / gridExportWithBattery;
+                phaseFlows.phases.forEach(phase => { phase.exportKwh *= keepShare; });
+            }
+            gridExportWithBattery -= curtailedWithBatteryKwh;
+            
+            // Throughput: energy stored when charging, energy drawn when discharging
+            throughputKwh += batteryDischargeKw > 0
+                ? batteryDischargeKw * intervalHours
+                : (batteryChargeKw - batteryLossKw) * intervalHours;
+            
+            // Self-discharge of the stored energy over the interval, not below the dispatch floor
+            // (the BMS keeps min SOC / the backup reserve, as in the optimal dispatch benchmark)
+            const floorKwh = this.getDispatchFloorPercent() / 100 * capacityKwh;
+            const selfDischargeKwh = Math.min(socKwh * this.getSelfDischargeFraction(), Math.max(0, socKwh - floorKwh));
+            if (selfDischargeKwh > 0) {
+                gridEnergyInBattery -= gridEnergyInBattery * (selfDischargeKwh / socKwh);
+                socKwh -= selfDischargeKwh;
+            }
+            
+            // Store simulated data point (baseline fields include the export limit)
             simulatedData.push({
-                ...point,
-                batterySocPercent: (socKwh / this.config.capacityKwh) * 100,
+                ...baselineData[i],
+                batterySocPercent: capacityKwh > 0 ? (socKwh / capacityKwh) * 100 : 0,
                 batterySocKwh: socKwh,
+                batterySohPercent: sohPercent,
+                batteryCapacityKwh: capacityKwh,
+                cumulativeThroughputKwh: throughputKwh,
                 batteryChargeKw: batteryChargeKw,
                 batteryDischargeKw: batteryDischargeKw,
                 batteryLossKw: batteryLossKw,
+                inverterLossKw: inverterLossKwh / intervalHours,
+                gridChargeKw: gridChargeKw,
+                selfDischargeKw: selfDischargeKwh / intervalHours,
+                standbyKw: standbyKwh / intervalHours,
+                curtailedWithBatteryKwh: curtailedWithBatteryKwh,
+                dcClippedKwh: flows.dcClippedKwh,
+                inverterClippedKwh: inverterClippedKwh,
+                phaseFlows: phaseFlows ? phaseFlows.phases : null,
+                phaseNettingKwh: phaseFlows ? phaseFlows.nettingKwh : 0,
+                phaseMismatchKwh: phaseFlows ? phaseFlows.mismatchKwh : 0,
                 gridImportWithBattery: gridImportWithBattery,
                 gridExportWithBattery: gridExportWithBattery
             });
@@ -160,34 +368,756 @@ const BatterySimulation = {
         // Calculate financial savings
         const financials = this.calculateFinancialSavings(simulatedData, beforeMetrics, afterMetrics);
         
+        // Arbitrage profit: net effect of grid charging, i.e. savings versus plain self-consumption
+        // from the same starting SOC (negative when arbitrage loses money)
+        if (isArbitrage) {
+            financials.arbitrageChargeCost = arbitrageChargeCost;
+            financials.arbitrageDischargeValue = arbitrageDischargeValue;
+            financials.arbitrageProfit = financials.totalSavings - this.simulateSelfConsumption(measuredData, startSocKwh).metrics.financials.totalSavings;
+        }
+        
+        const metrics = {
+            before: beforeMetrics,
+            after: afterMetrics,
+            improvements: improvements,
+            financials: financials,
+            monthlyPeaks: this.calculateMonthlyPeaks(simulatedData),
+            phases: this.calculatePhaseMetrics(simulatedData)
+        };
+        
+        if (this.config.degradationEnabled) {
+            metrics.degradation = this.calculateDegradationSummary(simulatedData, endOfLifeTimestamp);
+        }
+        
         return {
             simulatedData,
-            metrics: {
-                before: beforeMetrics,
-                after: afterMetrics,
-                improvements: improvements,
-                financials: financials
+            metrics,
+            initialSocKwh: startSocKwh
+        };
+    },
+
+    /**
+     * Same simulation with the self-consumption strategy (reference for the arbitrage profit)
+     * @param {Array} mergedData - Timeline passed to simulate
+     * @param {number} initialSocKwh - Stored energy at the start
+     * @returns {Object} Output of simulate
+     */
+    simulateSelfConsumption(mergedData, initialSocKwh) {
+        const strategyConfig = this.config;
+        this.config = { ...strategyConfig, dispatchStrategy: 'self-consumption' };
+        try {
+            return this.simulate(mergedData, initialSocKwh);
+        } finally {
+            this.config = strategyConfig;
+        }
+    },
+
+    /**
+     * Length of one data interval in hours (0.25 for 15-minute data)
+     */
+    getIntervalHours() {
+        return (this.config.intervalMinutes || 15) / 60;
+    },
+
+    /**
+     * Export cap per interval in kWh (Infinity if exports are unlimited)
+     */
+    getExportCapKwh() {
+        const limitKw = this.config.exportLimitKw;
+        if (limitKw === null || limitKw === undefined || isNaN(limitKw)) return Infinity;
+        return Math.max(0, limitKw) * this.getIntervalHours();
+    },
+
+    /**
+     * Timeline the battery is simulated on: hypothetical PV size first, then the load scenario
+     * @param {Array} data - Merged timeline
+     * @returns {Array} Prepared timeline (same array without PV scaling or load scenario)
+     */
+    prepareTimeline(data) {
+        return LoadScenarios.apply(this.applyPvScale(data), this.config.loadScenario, this.config.intervalMinutes);
+    },
+
+    /**
+     * Grid flows the battery works with in one interval: standby load, hybrid inverter limit and
+     * the EV exclusion (the battery does not discharge into the EV unless the scenario allows it)
+     * @param {Object} point - Prepared data point
+     * @returns {Object} Output of applyInverterLimit
+     */
+    getGridFlows(point) {
+        const flows = this.applyInverterLimit(this.applyStandbyLoad(point), point);
+        const scenario = this.config.loadScenario;
+        if (!point.evImportKwh || !scenario || !scenario.ev || scenario.ev.batteryServesEv) return flows;
+
+        return { ...flows, dischargeCapKwh: Math.min(flows.dischargeCapKwh, Math.max(0, flows.importKwh - point.evImportKwh)) };
+    },
+
+    /**
+     * Rebuild grid flows for a hypothetical PV size (pvScaleFactor)
+     * The household load stays as measured; the scaled production covers it directly up to the
+     * load and the rest is exported. The change in direct use moves import.
+     * @param {Array} data - Timeline with productionKw, importKwh/exportKwh and consumptionKwh
+     * @returns {Array} Data with scaled productionKw and rebuilt importKwh/exportKwh (unchanged at factor 1)
+     */
+    applyPvScale(data) {
+        const factor = this.config.pvScaleFactor;
+        if (factor === 1) return data;
+
+        const intervalHours = this.getIntervalHours();
+        return data.map(point => {
+            const pvKwh = point.productionKw * intervalHours;
+            const loadKwh = point.consumptionKwh !== undefined
+                ? point.consumptionKwh
+                : Math.max(0, pvKwh - point.exportKwh + point.importKwh);
+            const directKwh = Math.min(loadKwh, Math.max(0, pvKwh - point.exportKwh));
+            const scaledDirectKwh = Math.min(loadKwh, pvKwh * factor);
+
+            const scaled = {
+                ...point,
+                productionKw: point.productionKw * factor,
+                importKwh: Math.max(0, point.importKwh - (scaledDirectKwh - directKwh)),
+                exportKwh: Math.max(0, pvKwh * factor - scaledDirectKwh)
+            };
+            // Per-phase data: every phase keeps its share of the summed flow (equal split if there was none)
+            if (point.phases) {
+                const share = (phase, field) => point[field] > 0 ? phase[field] / point[field] : 1 / point.phases.length;
+                scaled.phases = point.phases.map(phase => ({
+                    ...phase,
+                    importKwh: scaled.importKwh * share(phase, 'importKwh'),
+                    exportKwh: scaled.exportKwh * share(phase, 'exportKwh')
+                }));
             }
+            return scaled;
+        });
+    },
+
+    /**
+     * Apply the export limit to measured data (baseline without battery)
+     * Export above the cap is moved to curtailedKwh (PV that could not be produced).
+     * @param {Array} data - Timeline with importKwh/exportKwh
+     * @returns {Array} Data with capped exportKwh and curtailedKwh (unchanged if unlimited)
+     */
+    applyExportLimit(data) {
+        const exportCapKwh = this.getExportCapKwh();
+        if (exportCapKwh === Infinity) return data;
+
+        return data.map(point => {
+            const curtailedKwh = Math.max(0, point.exportKwh - exportCapKwh);
+            const limited = {
+                ...point,
+                exportKwh: point.exportKwh - curtailedKwh,
+                curtailedKwh: curtailedKwh
+            };
+            // Per-phase data: every phase keeps the same share of its export
+            if (point.phases && curtailedKwh > 0) {
+                const keepShare = limited.exportKwh / point.exportKwh;
+                limited.phases = point.phases.map(phase => ({ ...phase, exportKwh: phase.exportKwh * keepShare }));
+            }
+            return limited;
+        });
+    },
+
+    /**
+     * Fraction of the stored energy lost to self-discharge in one interval
+     * (compounded from the monthly rate, 1 month = 730.5 hours)
+     */
+    getSelfDischargeFraction() {
+        const monthlyRate = Math.min(100, Math.max(0, this.config.selfDischargePercentPerMonth || 0)) / 100;
+        return 1 - Math.pow(1 - monthlyRate, this.getIntervalHours() / 730.5);
+    },
+
+    /**
+     * Grid flows with the standby consumption added as household load
+     * Standby first uses surplus that would be exported, the rest is imported.
+     * @param {Object} point - Data point with importKwh/exportKwh
+     * @returns {Object} { importKwh, exportKwh, standbyKwh }
+     */
+    applyStandbyLoad(point) {
+        const standbyKwh = this.config.capacityKwh > 0
+            ? Math.max(0, this.config.standbyPowerW || 0) / 1000 * this.getIntervalHours()
+            : 0;
+
+        // Per-phase data: a three-phase system draws standby equally from every phase
+        if (point.phases) {
+            const phases = point.phases.map(phase => {
+                const fromExport = Math.min(phase.exportKwh, standbyKwh / 3);
+                return {
+                    importKwh: phase.importKwh + (standbyKwh / 3 - fromExport),
+                    exportKwh: phase.exportKwh - fromExport
+                };
+            });
+            return {
+                importKwh: phases.reduce((sum, phase) => sum + phase.importKwh, 0),
+                exportKwh: phases.reduce((sum, phase) => sum + phase.exportKwh, 0),
+                standbyKwh: standbyKwh,
+                phases: phases
+            };
+        }
+
+        const fromExport = Math.min(point.exportKwh, standbyKwh);
+
+        return {
+            importKwh: point.importKwh + (standbyKwh - fromExport),
+            exportKwh: point.exportKwh - fromExport,
+            standbyKwh: standbyKwh,
+            phases: null
+        };
+    },
+
+    /**
+     * AC rating of the battery/hybrid inverter per interval in kWh (Infinity if unlimited)
+     */
+    getInverterCapKwh() {
+        const ratingKva = this.config.inverterRatingKva;
+        if (ratingKva === null || ratingKva === undefined || isNaN(ratingKva)) return Infinity;
+        return Math.max(0, ratingKva) * this.getIntervalHours();
+    },
+
+    /**
+     * Grid flows with the shared AC rating of a hybrid (DC-coupled) inverter applied
+     * The hybrid replaces the PV inverter: PV above the rating is clipped on the DC side (the site
+     * loses that AC output - less export first, then more import), and the battery can only
+     * discharge into the rating PV leaves free. AC coupling keeps the measured PV, the battery
+     * inverter rating is part of the power limits (getPowerLimits).
+     * @param {Object} flows - Output of applyStandbyLoad
+     * @param {Object} point - Data point with productionKw
+     * @returns {Object} Flows with dcClippedKwh, dischargeCapKwh (AC) and gridChargeCapKwh (AC)
+     */
+    applyInverterLimit(flows, point) {
+        const capKwh = this.getInverterCapKwh();
+        if (this.config.inverterCoupling !== 'dc' || capKwh === Infinity) {
+            return { ...flows, dcClippedKwh: 0, dischargeCapKwh: Infinity, gridChargeCapKwh: Infinity };
+        }
+
+        const pvKwh = Math.max(0, (point.productionKw || 0) * this.getIntervalHours());
+        const dcClippedKwh = Math.max(0, pvKwh - capKwh);
+        const limited = {
+            ...flows,
+            dcClippedKwh: dcClippedKwh,
+            dischargeCapKwh: Math.max(0, capKwh - (pvKwh - dcClippedKwh)),
+            gridChargeCapKwh: capKwh
+        };
+        if (dcClippedKwh === 0) return limited;
+
+        // Lost PV output is split equally over the phases of a three-phase hybrid
+        const loseOutput = (importKwh, exportKwh, lostKwh) => {
+            const fromExport = Math.min(exportKwh, lostKwh);
+            return { importKwh: importKwh + (lostKwh - fromExport), exportKwh: exportKwh - fromExport };
+        };
+        if (flows.phases) {
+            limited.phases = flows.phases.map(phase => loseOutput(phase.importKwh, phase.exportKwh, dcClippedKwh / flows.phases.length));
+            limited.importKwh = limited.phases.reduce((sum, phase) => sum + phase.importKwh, 0);
+            limited.exportKwh = limited.phases.reduce((sum, phase) => sum + phase.exportKwh, 0);
+        } else {
+            Object.assign(limited, loseOutput(flows.importKwh, flows.exportKwh, dcClippedKwh));
+        }
+        return limited;
+    },
+
+    /**
+     * Charge limit (AC side, kWh) for grid charging in an interval
+     * Grid energy passes through the hybrid inverter, so it is capped by the AC rating as well.
+     * @param {Object} powerLimits - Output of getPowerLimits
+     * @param {Object} flows - Output of applyInverterLimit
+     * @param {number} batteryChargeKw - Charge power already used in this interval
+     * @returns {number} Charge limit in kWh (including the energy already charged)
+     */
+    getGridChargeLimitKwh(powerLimits, flows, batteryChargeKw) {
+        const intervalHours = this.getIntervalHours();
+        return Math.min(powerLimits.maxChargeKw * intervalHours, batteryChargeKw * intervalHours + flows.gridChargeCapKwh);
+    },
+
+    /**
+     * Split the battery power across phases (per-phase meter data only)
+     * Symmetric inverters charge/discharge the same power on every phase: a phase with less
+     * surplus than its share imports the rest, a phase with less load than its share exports it
+     * (phase mismatch). Asymmetric inverters balance the phases, so the summed (netted) flows
+     * are spread over the phases that still import or export.
+     * @param {Array} phases - L1/L2/L3 { importKwh, exportKwh } before the battery
+     * @param {number} chargeKwh - AC energy absorbed by the battery (PV surplus + grid)
+     * @param {number} deliveredKwh - AC energy delivered by the battery
+     * @param {number} importKwh - Summed import after the battery (asymmetric netting)
+     * @param {number} exportKwh - Summed export after the battery (asymmetric netting)
+     * @returns {Object} { phases, importKwh, exportKwh, nettingKwh, mismatchKwh }
+     */
+    allocatePhases(phases, chargeKwh, deliveredKwh, importKwh, exportKwh) {
+        if (this.config.inverterMode === 'symmetric') {
+            const chargeShare = chargeKwh / phases.length;
+            const deliveredShare = deliveredKwh / phases.length;
+            let mismatchKwh = 0;
+
+            const result = phases.map(phase => {
+                const fromExport = Math.min(phase.exportKwh, chargeShare);
+                const toImport = Math.min(phase.importKwh, deliveredShare);
+                mismatchKwh += (chargeShare - fromExport) + (deliveredShare - toImport);
+                return {
+                    importKwh: phase.importKwh - toImport + (chargeShare - fromExport),
+                    exportKwh: phase.exportKwh - fromExport + (deliveredShare - toImport)
+                };
+            });
+
+            return {
+                phases: result,
+                importKwh: result.reduce((sum, phase) => sum + phase.importKwh, 0),
+                exportKwh: result.reduce((sum, phase) => sum + phase.exportKwh, 0),
+                nettingKwh: 0,
+                mismatchKwh: mismatchKwh
+            };
+        }
+
+        // Asymmetric: remaining import goes to the phases with a net deficit, remaining export
+        // to the phases with a net surplus (equal split if none)
+        const deficits = phases.map(phase => Math.max(0, phase.importKwh - phase.exportKwh));
+        const surpluses = phases.map(phase => Math.max(0, phase.exportKwh - phase.importKwh));
+        const totalDeficit = deficits.reduce((sum, value) => sum + value, 0);
+        const totalSurplus = surpluses.reduce((sum, value) => sum + value, 0);
+        const share = (values, total, i) => total > 0 ? values[i] / total : 1 / phases.length;
+
+        return {
+            phases: phases.map((phase, i) => ({
+                importKwh: importKwh * share(deficits, totalDeficit, i),
+                exportKwh: exportKwh * share(surpluses, totalSurplus, i)
+            })),
+            importKwh: importKwh,
+            exportKwh: exportKwh,
+            // Import and export cancelled by the inverter (within and across phases)
+            nettingKwh: Math.min(
+                phases.reduce((sum, phase) => sum + phase.importKwh, 0),
+                phases.reduce((sum, phase) => sum + phase.exportKwh, 0)
+            ),
+            mismatchKwh: 0
+        };
+    },
+
+    /**
+     * Per-phase import/export totals before and after the battery (per-phase meter data only)
+     * @param {Array} data - Simulated data points
+     * @returns {Object|null} { phases: Array, nettingKwh, mismatchKwh, inverterMode }, null without phase data
+     */
+    calculatePhaseMetrics(data) {
+        if (!data.some(point => point.phaseFlows)) return null;
+
+        const phases = ['L1', 'L2', 'L3'].map(name => ({
+            phase: name,
+            importBefore: 0,
+            exportBefore: 0,
+            importAfter: 0,
+            exportAfter: 0
+        }));
+        let nettingKwh = 0;
+        let mismatchKwh = 0;
+
+        data.forEach(point => {
+            if (!point.phaseFlows) return;
+            point.phases.forEach((phase, i) => {
+                phases[i].importBefore += phase.importKwh;
+                phases[i].exportBefore += phase.exportKwh;
+            });
+            point.phaseFlows.forEach((phase, i) => {
+                phases[i].importAfter += phase.importKwh;
+                phases[i].exportAfter += phase.exportKwh;
+            });
+            nettingKwh += point.phaseNettingKwh;
+            mismatchKwh += point.phaseMismatchKwh;
+        });
+
+        return {
+            phases,
+            nettingKwh,
+            mismatchKwh,
+            inverterMode: this.config.inverterMode
+        };
+    },
+
+    /**
+     * Active charge/discharge power curves (custom curves override the preset)
+     * @returns {Object} { charge: Array, discharge: Array }
+     */
+    getPowerCurves() {
+        const preset = PowerCurves.presets[this.config.powerCurvePreset] || PowerCurves.presets.flat;
+        return {
+            charge: this.config.chargePowerCurve || preset.charge,
+            discharge: this.config.dischargePowerCurve || preset.discharge
+        };
+    },
+
+    /**
+     * Active inverter efficiency curve (custom curve overrides the preset)
+     * @returns {Array|null} Curve points, null for constant efficiency
+     */
+    getEfficiencyCurve() {
+        if (this.config.efficiencyCurvePreset === 'custom' && this.config.inverterEfficiencyCurve) {
+            return this.config.inverterEfficiencyCurve;
+        }
+        const preset = EfficiencyCurves.presets[this.config.efficiencyCurvePreset] || EfficiencyCurves.presets.constant;
+        return preset.curve;
+    },
+
+    /**
+     * Total charge/discharge efficiency at a given battery power
+     * The configured efficiencies apply at rated power; an efficiency curve scales them by
+     * curve(load) / curve(100%), load being the power in % of the inverter rating
+     * (or of the larger charge/discharge rate without a rating).
+     * @param {string} direction - 'charge' | 'discharge'
+     * @param {number} powerKw - Battery power (AC side when charging, DC side when discharging)
+     * @returns {number} Efficiency between 0 and 1
+     */
+    getEfficiency(direction, powerKw) {
+        const ratedEfficiency = direction === 'charge' ? this.config.chargeEfficiency : this.config.dischargeEfficiency;
+        const curve = this.getEfficiencyCurve();
+        if (!curve) return ratedEfficiency;
+
+        const ratingKw = this.config.inverterRatingKva !== null && !isNaN(this.config.inverterRatingKva)
+            ? Math.max(0, this.config.inverterRatingKva)
+            : Math.max(this.config.maxChargeRateKw, this.config.maxDischargeRateKw);
+        const loadPercent = ratingKw > 0 ? (powerKw / ratingKw) * 100 : 100;
+        const factor = EfficiencyCurves.getEfficiency(curve, loadPercent) / EfficiencyCurves.getEfficiency(curve, 100);
+        return Math.min(1, ratedEfficiency * factor);
+    },
+
+    /**
+     * Energy conversion of one interval's charge or discharge, with the loss split
+     * Battery (cell) efficiency is constant, the inverter takes the rest of the total efficiency.
+     * @param {string} direction - 'charge' | 'discharge'
+     * @param {number} energyKwh - AC energy charged, or DC energy drawn when discharging
+     * @returns {Object} { outputKwh, inverterLossKwh } - Stored / delivered energy and the inverter loss
+     */
+    getConversion(direction, energyKwh) {
+        const efficiency = this.getEfficiency(direction, energyKwh / this.getIntervalHours());
+        const inverterEfficiency = Math.min(1, efficiency / this.config.batteryEfficiency);
+        const inverterInputKwh = direction === 'charge' ? energyKwh : energyKwh * (efficiency / inverterEfficiency);
+        return {
+            outputKwh: energyKwh * efficiency,
+            inverterLossKwh: inverterInputKwh * (1 - inverterEfficiency)
+        };
+    },
+
+    /**
+     * AC energy needed to store a given amount (inverse of the charge conversion)
+     * With an efficiency curve the efficiency depends on the charge power, found by fixed-point iteration.
+     * @param {number} storedKwh - Energy to store
+     * @returns {number} AC charge energy in kWh
+     */
+    getChargeInputKwh(storedKwh) {
+        let inputKwh = storedKwh / this.config.chargeEfficiency;
+        if (!this.getEfficiencyCurve() || storedKwh <= 0) return inputKwh;
+
+        for (let k = 0; k < 4; k++) {
+            inputKwh = storedKwh / this.getEfficiency('charge', inputKwh / this.getIntervalHours());
+        }
+        return inputKwh;
+    },
+
+    /**
+     * Charge/discharge power limits at a given SOC
+     * @param {number} socPercent - State of charge in % of usable capacity
+     * @returns {Object} { maxChargeKw, maxDischargeKw }
+     */
+    getPowerLimits(socPercent) {
+        const curves = this.getPowerCurves();
+        // AC coupling: the battery inverter rating caps AC charge and AC output (DC drawn = AC / efficiency)
+        const acRatingKw = this.config.inverterCoupling === 'ac' ? this.getInverterCapKwh() / this.getIntervalHours() : Infinity;
+        return {
+            maxChargeKw: Math.min(acRatingKw, this.config.maxChargeRateKw * PowerCurves.getFactor(curves.charge, socPercent)),
+            maxDischargeKw: Math.min(acRatingKw / this.config.dischargeEfficiency, this.config.maxDischargeRateKw * PowerCurves.getFactor(curves.discharge, socPercent))
         };
     },
 
+    /**
+     * Stored energy at the start of the range (initial SOC clamped to the SOC window)
+     */
+    getInitialSocKwh() {
+        const floorPercent = this.getDispatchFloorPercent();
+        const initialSocPercent = this.config.initialSocPercent !== null && !isNaN(this.config.initialSocPercent)
+            ? Math.min(this.config.maxSocPercent, Math.max(floorPercent, this.config.initialSocPercent))
+            : floorPercent;
+        return this.config.capacityKwh * (initialSocPercent / 100);
+    },
+
+    /**
+     * State of health from cycle aging (equivalent full cycles) and calendar aging
+     * @param {number} throughputKwh - Cumulative DC-side throughput (charge + discharge)
+     * @param {number} elapsedMs - Time since the start of the simulation
+     * @returns {number} SOH in % of nominal capacity
+     */
+    calculateSoh(throughputKwh, elapsedMs) {
+        const equivalentFullCycles = this.config.capacityKwh > 0
+            ? throughputKwh / (2 * this.config.capacityKwh)
+            : 0;
+        const elapsedYears = elapsedMs / (1000 * 60 * 60 * 24 * 365.25);
+        const fadePercent = equivalentFullCycles * this.config.cycleFadePercentPerCycle
+            + elapsedYears * this.config.calendarFadePercentPerYear;
+        return Math.max(0, 100 - fadePercent);
+    },
+
+    /**
+     * Summarize aging over the simulated range
+     * The projected lifetime extrapolates the average fade rate of the range.
+     * @param {Array} simulatedData - Output points of simulate()
+     * @param {Date|string|null} endOfLifeTimestamp - First interval at/below the EOL threshold
+     * @returns {Object} Degradation summary
+     */
+    calculateDegradationSummary(simulatedData, endOfLifeTimestamp) {
+        const lastPoint = simulatedData[simulatedData.length - 1];
+        const elapsedMs = lastPoint.timestampMs - simulatedData[0].timestampMs;
+        const elapsedYears = elapsedMs / (1000 * 60 * 60 * 24 * 365.25);
+        const throughputKwh = lastPoint.cumulativeThroughputKwh;
+        const finalSohPercent = this.calculateSoh(throughputKwh, elapsedMs);
+        const fadePerYear = elapsedYears > 0 ? (100 - finalSohPercent) / elapsedYears : 0;
+
+        return {
+            finalSohPercent: finalSohPercent,
+            finalCapacityKwh: this.config.capacityKwh * (finalSohPercent / 100),
+            throughputKwh: throughputKwh,
+            equivalentFullCycles: this.config.capacityKwh > 0 ? throughputKwh / (2 * this.config.capacityKwh) : 0,
+            endOfLifeSohPercent: this.config.endOfLifeSohPercent,
+            endOfLifeTimestamp: endOfLifeTimestamp,
+            fadePercentPerYear: fadePerYear,
+            projectedLifeYears: fadePerYear > 0 ? (100 - this.config.endOfLifeSohPercent) / fadePerYear : null
+        };
+    },
+
+    /**
+     * Get import price per interval (TOU schedule, or flat Tier1 price for tiered tariffs)
+     * @param {Array} data - Timeline with timestamp field
+     * @returns {Array<number>} Import price per interval
+     */
+    getImportPriceSeries(data) {
+        if (this.config.tariffMode === 'tou') {
+            return TariffEngine.buildPriceSeries(data, this.getTouSchedule()).importPrices;
+        }
+        // Tiered tariffs have no time signal, so there is no cheap window to arbitrage
+        const flatPrice = this.config.pricing[this.config.currency].tier1ImportPrice;
+        return data.map(() => flatPrice);
+    },
+
+    /**
+     * Precompute arbitrage dispatch signals
+     * An interval is "cheap" if it has the lowest import price of its day and buying there
+     * is still profitable after round-trip losses compared to the day's highest price.
+     * hasSpread marks intervals where a price of the next 24 hours beats the current one after
+     * round-trip losses; elsewhere (tiered tariffs, flat days, end of the range) grid charging
+     * cannot pay off. solarFillKwh is the stored energy the PV surplus of the next 24 hours is
+     * expected to add on top of the current SOC (perfect forecast, load before the surplus drawn
+     * first), i.e. room grid charging must leave free so the surplus is stored instead of exported.
+     * @param {Array} data - Prepared timeline with timestamp and importKwh/exportKwh
+     * @returns {Object} { importPrices, cheap, hasSpread: Array<boolean>, intervalsToTarget, solarFillKwh: Array<number> }
+     */
+    buildArbitrageSignals(data) {
+        const importPrices = this.getImportPriceSeries(data);
+        const roundTripEfficiency = this.config.chargeEfficiency * this.config.dischargeEfficiency;
+        const targetMinute = TariffEngine.parseTime(this.config.arbitrageTargetTime);
+
+        // Daily price range
+        const dayKey = (point) => {
+            const date = new Date(point.timestamp);
+            return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+        };
+        const dailyRange = new Map();
+        data.forEach((point, i) => {
+            const key = dayKey(point);
+            const range = dailyRange.get(key) || { min: Infinity, max: -Infinity };
+            range.min = Math.min(range.min, importPrices[i]);
+            range.max = Math.max(range.max, importPrices[i]);
+            dailyRange.set(key, range);
+        });
+
+        const cheap = data.map((point, i) => {
+            const range = dailyRange.get(dayKey(point));
+            return importPrices[i] === range.min && range.min < range.max * roundTripEfficiency;
+        });
+
+        // Look-ahead over the next 24 hours: highest price and highest cumulative net PV fill
+        const intervalsPerDay = Math.round(1440 / this.config.intervalMinutes);
+        const hasSpread = [];
+        const solarFillKwh = [];
+        data.forEach((point, i) => {
+            let maxPrice = -Infinity;
+            let netKwh = 0;
+            let maxFillKwh = 0;
+            for (let j = i + 1; j < Math.min(data.length, i + 1 + intervalsPerDay); j++) {
+                maxPrice = Math.max(maxPrice, importPrices[j]);
+                netKwh += data[j].exportKwh * this.config.chargeEfficiency - data[j].importKwh / this.config.dischargeEfficiency;
+                maxFillKwh = Math.max(maxFillKwh, netKwh);
+            }
+            hasSpread.push(importPrices[i] < maxPrice * roundTripEfficiency);
+            solarFillKwh.push(maxFillKwh);
+        });
+
+        // Number of intervals after this one until the daily target time
+        const intervalsToTarget = data.map(point => {
+            const date = new Date(point.timestamp);
+            const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+            const minutesUntilTarget = ((targetMinute - minuteOfDay + 1440) % 1440) || 1440;
+            return Math.max(0, Math.floor(minutesUntilTarget / this.config.intervalMinutes) - 1);
+        });
+
+        return { importPrices, cheap, hasSpread, intervalsToTarget, solarFillKwh };
+    },
+
+    /**
+     * Grid energy (kWh, AC side) to charge in an interval under the arbitrage strategy
+     * Charges in cheap windows up to the target SOC; outside cheap windows only charges
+     * just-in-time what can no longer be reached before the target time. No grid charging on
+     * days without a profitable price spread, and never into the room the forecast PV surplus needs.
+     * @param {number} i - Interval index
+     * @param {number} socKwh - Current stored energy
+     * @param {number} capacityKwh - Usable capacity in this interval (after degradation)
+     * @param {number} maxChargeKwh - Charge limit in this interval (after the SOC power curve)
+     * @param {number} alreadyChargedKwh - Energy already charged from PV in this interval
+     * @param {Object} signals - Output of buildArbitrageSignals
+     * @returns {number} Grid charge energy in kWh
+     */
+    getGridChargeRequest(i, socKwh, capacityKwh, maxChargeKwh, alreadyChargedKwh, signals) {
+        if (!signals.hasSpread[i]) return 0;
+
+        const targetSocPercent = Math.min(this.config.arbitrageTargetSocPercent, this.config.maxSocPercent);
+        const solarRoomTargetKwh = (this.config.maxSocPercent / 100) * capacityKwh - signals.solarFillKwh[i];
+        const targetKwh = Math.min((targetSocPercent / 100) * capacityKwh, solarRoomTargetKwh);
+        const neededKwh = (targetKwh - socKwh) / this.config.chargeEfficiency;
+        if (neededKwh <= 0) return 0;
+
+        const stepKwh = Math.min(this.config.gridChargeMaxKw, this.config.maxChargeRateKw) * this.getIntervalHours();
+        const headroomKwh = Math.max(0, maxChargeKwh - alreadyChargedKwh);
+        const limitKwh = Math.min(stepKwh, headroomKwh);
+
+        if (signals.cheap[i]) {
+            return Math.min(limitKwh, neededKwh);
+        }
+
+        // Target SOC guardrail: charge only the part later intervals can no longer deliver
+        const laterCapacityKwh = signals.intervalsToTarget[i] * stepKwh;
+        return Math.max(0, Math.min(limitKwh, neededKwh - laterCapacityKwh));
+    },
+
+    /**
+     * Lowest SOC (%) normal grid-connected dispatch may discharge to
+     * The backup reserve sits on top of min SOC and is only used during grid outages.
+     */
+    getDispatchFloorPercent() {
+        return Math.min(this.config.maxSocPercent, Math.max(this.config.minSocPercent, this.config.backupReservePercent || 0));
+    },
+
+    /**
+     * Stored energy (DC side, kWh) to discharge against an import deficit
+     * Self-consumption and arbitrage cover the deficit down to the dispatch floor. Peak shaving clips
+     * the import above the limit (may use the whole SOC window) and, if combined with
+     * self-consumption, covers the rest only from energy above the reserve.
+     * @param {number} deficitKwh - Grid import to offset in this interval
+     * @param {number} socKwh - Current stored energy
+     * @param {number} capacityKwh - Usable capacity in this interval (after degradation)
+     * @param {number} maxDischargeKwh - Discharge limit in this interval (after the SOC power curve)
+     * @param {boolean} holdDischarge - Arbitrage cheap window (keep the stored energy)
+     * @returns {number} Energy to discharge in kWh
+     */
+    getDischargeKwh(deficitKwh, socKwh, capacityKwh, maxDischargeKwh, holdDischarge) {
+        const minKwh = this.getDispatchFloorPercent() / 100 * capacityKwh;
+        const availableKwh = Math.max(0, socKwh - minKwh);
+
+        if (this.config.dispatchStrategy !== 'peak-shaving') {
+            const dischargeRequest = holdDischarge ? 0 : Math.min(deficitKwh, maxDischargeKwh);
+            return Math.min(dischargeRequest, availableKwh);
+        }
+
+        // Clip the import above the limit (delivered = discharged * efficiency)
+        const excessKwh = Math.max(0, deficitKwh - this.config.peakShavingLimitKw * this.getIntervalHours());
+        const clipKwh = Math.min(excessKwh / this.config.dischargeEfficiency, maxDischargeKwh, availableKwh);
+        if (!this.config.peakShavingSelfConsumption) return clipKwh;
+
+        // Self-consumption on top of clipping, never below the reserve
+        const reserveKwh = Math.max(minKwh, this.config.peakShavingReserveSocPercent / 100 * capacityKwh);
+        const aboveReserveKwh = Math.max(0, socKwh - clipKwh - reserveKwh);
+        const selfConsumptionKwh = Math.min(Math.min(deficitKwh, maxDischargeKwh) - clipKwh, aboveReserveKwh);
+        return clipKwh + Math.max(0, selfConsumptionKwh);
+    },
+
+    /**
+     * Grid energy (kWh, AC side) to refill the peak-shaving reserve in an interval
+     * Only uses the headroom between the current import and the import limit, so
+     * recharging never creates a new peak.
+     * @param {number} socKwh - Current stored energy
+     * @param {number} capacityKwh - Usable capacity in this interval (after degradation)
+     * @param {number} importKwh - Grid import in this interval so far
+     * @param {number} maxChargeKwh - Charge limit in this interval (after the SOC power curve)
+     * @param {number} alreadyChargedKwh - Energy already charged from PV in this interval
+     * @returns {number} Grid charge energy in kWh
+     */
+    getReserveChargeRequest(socKwh, capacityKwh, importKwh, maxChargeKwh, alreadyChargedKwh) {
+        const reserveSocPercent = Math.min(this.config.peakShavingReserveSocPercent, this.config.maxSocPercent);
+        const neededKwh = ((reserveSocPercent / 100) * capacityKwh - socKwh) / this.config.chargeEfficiency;
+        if (neededKwh <= 0) return 0;
+
+        const headroomKwh = this.config.peakShavingLimitKw * this.getIntervalHours() - importKwh;
+        const chargeHeadroomKwh = maxChargeKwh - alreadyChargedKwh;
+        return Math.max(0, Math.min(neededKwh, headroomKwh, chargeHeadroomKwh));
+    },
+
+    /**
+     * Monthly peak grid import (highest interval average power) without and with battery
+     * @param {Array} data - Simulated data points
+     * @returns {Array<Object>} { monthKey: 'YYYY-MM', timestamp, peakBeforeKw, peakAfterKw } per month
+     */
+    calculateMonthlyPeaks(data) {
+        const intervalHours = this.getIntervalHours();
+        const months = new Map();
+
+        data.forEach(point => {
+            const date = new Date(point.timestamp);
+            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            if (!months.has(monthKey)) {
+                months.set(monthKey, {
+                    monthKey: monthKey,
+                    timestamp: new Date(date.getFullYear(), date.getMonth(), 1).toISOString(),
+                    peakBeforeKw: 0,
+                    peakAfterKw: 0
+                });
+            }
+            const month = months.get(monthKey);
+            month.peakBeforeKw = Math.max(month.peakBeforeKw, point.importKwh / intervalHours);
+            month.peakAfterKw = Math.max(month.peakAfterKw, point.gridImportWithBattery / intervalHours);
+        });
+
+        return Array.from(months.values());
+    },
+
+    /**
+     * Demand charges (cost per kW of each month's peak import) without and with battery
+     * @param {Array} data - Simulated data points
+     * @returns {Object} { baseline, battery } in the selected currency
+     */
+    calculateDemandCharges(data) {
+        const rate = this.config.demandChargePerKw || 0;
+        if (rate <= 0) return { baseline: 0, battery: 0 };
+
+        return this.calculateMonthlyPeaks(data).reduce((charges, month) => ({
+            baseline: charges.baseline + month.peakBeforeKw * rate,
+            battery: charges.battery + month.peakAfterKw * rate
+        }), { baseline: 0, battery: 0 });
+    },
+
     /**
      * Calculate baseline metrics (without battery)
      */
     calculateBaselineMetrics(data) {
+        const intervalHours = this.getIntervalHours();
         let totalSolarProduction = 0;
         let totalGridImport = 0;
         let totalGridExport = 0;
+        let totalCurtailed = 0;
+        const scenarioLoad = { ev: 0, evSurplus: 0, heatPump: 0 }; // Added load of the load scenario
 
         data.forEach(point => {
-            const solarEnergy = point.productionKw * 0.25; // 15min to kWh
+            const solarEnergy = point.productionKw * intervalHours; // kW to kWh
             totalSolarProduction += solarEnergy;
             totalGridImport += point.importKwh;
             totalGridExport += point.exportKwh;
+            totalCurtailed += point.curtailedKwh || 0;
+            scenarioLoad.ev += point.evKwh || 0;
+            scenarioLoad.evSurplus += point.evSurplusKwh || 0;
+            scenarioLoad.heatPump += point.heatPumpKwh || 0;
         });
 
-        // Self-consumption = solar produced that wasn't exported
-        const totalSelfConsumption = totalSolarProduction - totalGridExport;
+        // Self-consumption = solar produced that wasn't exported (or curtailed by the export limit)
+        const totalSelfConsumption = totalSolarProduction - totalGridExport - totalCurtailed;
 
         const selfConsumptionRate = totalSolarProduction > 0 
             ? (totalSelfConsumption / totalSolarProduction) * 100 
@@ -200,7 +1130,20 @@ const BatterySimulation = {
             solarSelfConsumption: totalSelfConsumption,
             selfConsumptionRate: selfConsumptionRate,
             batterySelfConsumption: 0,
-            batteryLosses: 0
+            batteryLosses: 0,
+            inverterLosses: 0,
+            curtailedEnergy: totalCurtailed,
+            inverterClippedEnergy: 0,
+            clippedPvStored: 0,
+            selfDischargeLosses: 0,
+            standbyLosses: 0,
+            gridChargeEnergy: 0,
+            dischargedEnergy: 0,
+            throughputKwh: 0,
+            equivalentFullCycles: 0,
+            evLoad: scenarioLoad.ev,
+            evSurplusLoad: scenarioLoad.evSurplus,
+            heatPumpLoad: scenarioLoad.heatPump
         };
     },
 
@@ -208,20 +1151,45 @@ const BatterySimulation = {
      * Calculate simulated metrics (with battery)
      */
     calculateSimulatedMetrics(data, baselineMetrics) {
+        const intervalHours = this.getIntervalHours();
         let totalGridImportWithBattery = 0;
         let totalGridExportWithBattery = 0;
         let totalBatteryLosses = 0;
+        let totalInverterLosses = 0;
         let totalSolarProduction = 0;
+        let totalGridCharge = 0;
+        let totalThroughput = 0;
+        let totalSelfDischarge = 0;
+        let totalStandby = 0;
+        let totalCurtailed = 0;
+        let totalInverterClipped = 0;
+        let totalClippedStored = 0;
+        let totalDischarged = 0;
 
         data.forEach(point => {
-            totalSolarProduction += point.productionKw * 0.25;
+            totalSolarProduction += point.productionKw * intervalHours;
+            // DC-side throughput: stored energy when charging, drawn energy when discharging
+            totalThroughput += point.batteryDischargeKw > 0
+                ? point.batteryDischargeKw * intervalHours
+                : (point.batteryChargeKw - point.batteryLossKw) * intervalHours;
             totalGridImportWithBattery += point.gridImportWithBattery;
             totalGridExportWithBattery += point.gridExportWithBattery;
-            totalBatteryLosses += point.batteryLossKw * 0.25;
+            totalBatteryLosses += point.batteryLossKw * intervalHours;
+            totalInverterLosses += (point.inverterLossKw || 0) * intervalHours;
+            totalGridCharge += point.gridChargeKw * intervalHours;
+            totalSelfDischarge += (point.selfDischargeKw || 0) * intervalHours;
+            totalStandby += (point.standbyKw || 0) * intervalHours;
+            totalCurtailed += point.curtailedWithBatteryKwh || 0;
+            totalInverterClipped += point.inverterClippedKwh || 0;
+            totalClippedStored += (point.dcClippedKwh || 0) - (point.inverterClippedKwh || 0);
+            // AC energy delivered by the battery (discharge minus losses)
+            if (point.batteryDischargeKw > 0) {
+                totalDischarged += (point.batteryDischargeKw - point.batteryLossKw) * intervalHours;
+            }
         });
 
-        // Calculate new solar self-consumption
-        const solarSelfConsumption = totalSolarProduction - totalGridExportWithBattery;
+        // Calculate new solar self-consumption (curtailed and inverter-clipped PV is not consumed)
+        const solarSelfConsumption = totalSolarProduction - totalGridExportWithBattery - totalCurtailed - totalInverterClipped;
         
         // Calculate battery self-consumption (additional solar used due to battery)
         const batterySelfConsumption = solarSelfConsumption - baselineMetrics.solarSelfConsumption;
@@ -237,7 +1205,17 @@ const BatterySimulation = {
             solarSelfConsumption: solarSelfConsumption,
             selfConsumptionRate: selfConsumptionRate,
             batterySelfConsumption: batterySelfConsumption,
-            batteryLosses: totalBatteryLosses
+            batteryLosses: totalBatteryLosses,
+            inverterLosses: totalInverterLosses,
+            curtailedEnergy: totalCurtailed,
+            inverterClippedEnergy: totalInverterClipped,
+            clippedPvStored: totalClippedStored,
+            selfDischargeLosses: totalSelfDischarge,
+            standbyLosses: totalStandby,
+            gridChargeEnergy: totalGridCharge,
+            dischargedEnergy: totalDischarged,
+            throughputKwh: totalThroughput,
+            equivalentFullCycles: this.config.capacityKwh > 0 ? totalThroughput / (2 * this.config.capacityKwh) : 0
         };
     },
 
@@ -259,7 +1237,11 @@ const BatterySimulation = {
                 ? (gridExportReduction / before.gridExport) * 100 
                 : 0,
             selfConsumptionImprovement: selfConsumptionImprovement,
-            selfConsumptionImprovementPercent: after.selfConsumptionRate - before.selfConsumptionRate
+            selfConsumptionImprovementPercent: after.selfConsumptionRate - before.selfConsumptionRate,
+            curtailmentRecovered: before.curtailedEnergy - after.curtailedEnergy,
+            curtailmentRecoveredPercent: before.curtailedEnergy > 0
+                ? ((before.curtailedEnergy - after.curtailedEnergy) / before.curtailedEnergy) * 100
+                : 0
         };
     },
 
@@ -275,6 +1257,35 @@ const BatterySimulation = {
         const durationMs = endDate - startDate;
         const durationDays = durationMs / (1000 * 60 * 60 * 24);
         
+        // Demand charges on the monthly peak import (0 unless a demand charge is set)
+        const demandCharges = this.calculateDemandCharges(data);
+        
+        // Time-of-use tariff: every interval has its own import/export price
+        if (this.config.tariffMode === 'tou') {
+            const schedule = this.getTouSchedule();
+            const priceSeries = TariffEngine.buildPriceSeries(data, schedule);
+            const sumCosts = (imports, exports) => TariffEngine
+                .calculateIntervalCosts(imports, exports, priceSeries)
+                .reduce((sum, cost) => sum + cost, 0);
+
+            const baselineCost = sumCosts(data.map(point => point.importKwh), data.map(point => point.exportKwh)) + demandCharges.baseline;
+            const batteryCost = sumCosts(data.map(point => point.gridImportWithBattery), data.map(point => point.gridExportWithBattery)) + demandCharges.battery;
+            const totalSavings = baselineCost - batteryCost;
+
+            return {
+                baselineCost: baselineCost,
+                batteryCost: batteryCost,
+                totalSavings: totalSavings,
+                savingsPercent: baselineCost > 0 ? (totalSavings / baselineCost) * 100 : 0,
+                currency: this.config.currency,
+                durationDays: durationDays,
+                tariffMode: 'tou',
+                touPeriodCount: (schedule.periods || []).length,
+                demandChargeBaseline: demandCharges.baseline,
+                demandChargeBattery: demandCharges.battery
+            };
+        }
+        
         // Calculate proportional tier1 limit based on simulation duration
         // Annual limit is scaled by (durationDays / 365) to fairly represent shorter periods
         const annualTier1Limit = prices.tier1LimitKwh; // e.g., 2523 kWh for full year
@@ -332,8 +1343,8 @@ const BatterySimulation = {
         const batteryExports = data.map(point => point.gridExportWithBattery);
 
         // Calculate costs
-        const baselineCost = calculateCost(baselineImports, baselineExports);
-        const batteryCost = calculateCost(batteryImports, batteryExports);
+        const baselineCost = calculateCost(baselineImports, baselineExports) + demandCharges.baseline;
+        const batteryCost = calculateCost(batteryImports, batteryExports) + demandCharges.battery;
         const totalSavings = baselineCost - batteryCost;
         const savingsPercent = baselineCost > 0 ? (totalSavings / baselineCost) * 100 : 0;
 
@@ -344,11 +1355,21 @@ const BatterySimulation = {
             savingsPercent: savingsPercent,
             currency: this.config.currency,
             durationDays: durationDays,
+            tariffMode: 'tiered',
             proportionalTier1Limit: proportionalTier1Limit,
-            annualTier1Limit: annualTier1Limit
+            annualTier1Limit: annualTier1Limit,
+            demandChargeBaseline: demandCharges.baseline,
+            demandChargeBattery: demandCharges.battery
         };
     },
 
+    /**
+     * Get the active TOU schedule (user-defined or default for the selected currency)
+     */
+    getTouSchedule() {
+        return this.config.touSchedule || TariffEngine.getDefaultSchedule(this.config.currency);
+    },
+
     /**
      * Update battery parameters
      */
@@ -364,6 +1385,14 @@ const BatterySimulation = {
             console.warn('dischargeEfficiency must be between 0 and 1');
             this.config.dischargeEfficiency = 0.92;
         }
+        if (this.config.batteryEfficiency > 1 || this.config.batteryEfficiency <= 0) {
+            console.warn('batteryEfficiency must be between 0 and 1');
+            this.config.batteryEfficiency = 0.975;
+        }
+        if (!(this.config.pvScaleFactor >= 0)) {
+            console.warn('pvScaleFactor must be 0 or greater');
+            this.config.pvScaleFactor = 1;
+        }
     },
     
     /**
@@ -0,0 +1,28 @@
+/**
+ * Simulation Worker
+ * Runs BatterySimulation off the page thread for optimization sweeps (started by WorkerPool).
+ * Messages in: { type: 'data', data } once per sweep, then { type: 'simulate', config } per point.
+ * Messages out: { metrics } or { error } for every simulate message.
+ */
+importScripts('tariff.js', 'power_curves.js', 'efficiency_curves.js', 'load_scenarios.js', 'simulation.js');
+
+let sweepData = [];
+
+self.onmessage = event => {
+    const message = event.data;
+
+    if (message.type === 'data') {
+        sweepData = message.data;
+        return;
+    }
+
+    if (message.type === 'simulate') {
+        try {
+            BatterySimulation.setConfig(message.config);
+            // Only the metrics go back: the simulated timeline is not needed by sweeps
+            self.postMessage({ metrics: BatterySimulation.simulate(sweepData).metrics });
+        } catch (error) {
+            self.postMessage({ error: error.message });
+        }
+    }
+};
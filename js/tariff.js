@@ -0,0 +1,176 @@
+/**
+ * Tariff Engine Module
+ * Maps every data interval to an import/export price based on a
+ * time-of-use (TOU) schedule: peak/off-peak/shoulder windows, weekday vs
+ * weekend and seasonal (month range) rules.
+ */
+const TariffEngine = {
+    /**
+     * Default TOU schedules per currency (used until the user edits them)
+     * Periods are evaluated in order - the first matching period wins,
+     * intervals not covered by any period use the base prices.
+     */
+    defaultSchedules: {
+        HUF: {
+            baseImportPrice: 60,
+            baseExportPrice: 5,
+            periods: [
+                { name: 'Off-peak', monthFrom: 1, monthTo: 12, days: 'all', start: '22:00', end: '06:00', importPrice: 35, exportPrice: null },
+                { name: 'Winter morning peak', monthFrom: 11, monthTo: 2, days: 'weekday', start: '07:00', end: '10:00', importPrice: 90, exportPrice: null },
+                { name: 'Evening peak', monthFrom: 1, monthTo: 12, days: 'weekday', start: '17:00', end: '21:00', importPrice: 95, exportPrice: null }
+            ]
+        },
+        EUR: {
+            baseImportPrice: 0.15,
+            baseExportPrice: 0.01,
+            periods: [
+                { name: 'Off-peak', monthFrom: 1, monthTo: 12, days: 'all', start: '22:00', end: '06:00', importPrice: 0.09, exportPrice: null },
+                { name: 'Winter morning peak', monthFrom: 11, monthTo: 2, days: 'weekday', start: '07:00', end: '10:00', importPrice: 0.22, exportPrice: null },
+                { name: 'Evening peak', monthFrom: 1, monthTo: 12, days: 'weekday', start: '17:00', end: '21:00', importPrice: 0.25, exportPrice: null }
+            ]
+        }
+    },
+
+    /**
+     * Get a deep copy of the default schedule for a currency
+     * @param {string} currency - 'HUF' | 'EUR'
+     * @returns {Object} TOU schedule
+     */
+    getDefaultSchedule(currency) {
+        return JSON.parse(JSON.stringify(this.defaultSchedules[currency] || this.defaultSchedules.HUF));
+    },
+
+    /**
+     * Convert 'HH:MM' to minutes since midnight
+     */
+    parseTime(timeString) {
+        if (!timeString) return 0;
+        const [hours, minutes] = timeString.split(':').map(v => parseInt(v, 10) || 0);
+        return hours * 60 + minutes;
+    },
+
+    /**
+     * Check whether a period applies to a given date
+     * Month and time windows may wrap around (e.g. Nov-Feb, 22:00-06:00)
+     * @param {Date} date - Interval start time
+     * @param {Object} period - TOU period definition
+     * @returns {boolean}
+     */
+    matchesPeriod(date, period) {
+        // Season (month range, 1-12)
+        const month = date.getMonth() + 1;
+        const monthFrom = period.monthFrom || 1;
+        const monthTo = period.monthTo || 12;
+        const inSeason = monthFrom <= monthTo
+            ? (month >= monthFrom && month <= monthTo)
+            : (month >= monthFrom || month <= monthTo);
+        if (!inSeason) return false;
+
+        // Day type
+        const dayOfWeek = date.getDay();
+        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+        if (period.days === 'weekday' && isWeekend) return false;
+        if (period.days === 'weekend' && !isWeekend) return false;
+
+        // Time window (start inclusive, end exclusive)
+        const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+        const start = this.parseTime(period.start);
+        const end = this.parseTime(period.end);
+        if (start === end) return true; // Whole day
+        return start < end
+            ? (minuteOfDay >= start && minuteOfDay < end)
+            : (minuteOfDay >= start || minuteOfDay < end);
+    },
+
+    /**
+     * Resolve import/export price for a single timestamp
+     * @param {Date|string} timestamp - Interval start time
+     * @param {Object} schedule - TOU schedule
+     * @returns {Object} { importPrice, exportPrice, periodName }
+     */
+    getPricesAt(timestamp, schedule) {
+        const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
+        const period = (schedule.periods || []).find(p => this.matchesPeriod(date, p));
+
+        if (!period) {
+            return {
+                importPrice: schedule.baseImportPrice,
+                exportPrice: schedule.baseExportPrice,
+                periodName: 'Base'
+            };
+        }
+
+        return {
+            importPrice: period.importPrice,
+            // Export price is optional per period, falls back to base export price
+            exportPrice: period.exportPrice !== null && period.exportPrice !== undefined && !isNaN(period.exportPrice)
+                ? period.exportPrice
+                : schedule.baseExportPrice,
+            periodName: period.name
+        };
+    },
+
+    /**
+     * Build per-interval price series for a dataset
+     * @param {Array} data - Timeline with timestamp field
+     * @param {Object} schedule - TOU schedule
+     * @returns {Object} { importPrices: Array<number>, exportPrices: Array<number> }
+     */
+    buildPriceSeries(data, schedule) {
+        const importPrices = new Array(data.length);
+        const exportPrices = new Array(data.length);
+
+        data.forEach((point, i) => {
+            const prices = this.getPricesAt(point.timestamp, schedule);
+            importPrices[i] = prices.importPrice;
+            exportPrices[i] = prices.exportPrice;
+        });
+
+        return { importPrices, exportPrices };
+    },
+
+    /**
+     * Calculate per-interval net cost (import cost - export revenue)
+     * @param {Array} imports - Import kWh per interval
+     * @param {Array} exports - Export kWh per interval
+     * @param {Object} priceSeries - Output of buildPriceSeries
+     * @returns {Array<number>} Cost per interval
+     */
+    calculateIntervalCosts(imports, exports, priceSeries) {
+        return imports.map((importKwh, i) =>
+            importKwh * priceSeries.importPrices[i] - exports[i] * priceSeries.exportPrices[i]
+        );
+    },
+
+    /**
+     * Validate a schedule, returns list of human-readable problems
+     * @param {Object} schedule - TOU schedule
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    validateSchedule(schedule) {
+        const errors = [];
+        const timePattern = /^\d{1,2}:\d{2}$/;
+
+        if (isNaN(schedule.baseImportPrice) || schedule.baseImportPrice < 0) {
+            errors.push('Base import price must be a non-negative number');
+        }
+        if (isNaN(schedule.baseExportPrice) || schedule.baseExportPrice < 0) {
+            errors.push('Base export price must be a non-negative number');
+        }
+
+        (schedule.periods || []).forEach((period, i) => {
+            const label = period.name || `Period ${i + 1}`;
+            if (!timePattern.test(period.start) || !timePattern.test(period.end)) {
+                errors.push(`${label}: start/end must be in HH:MM format`);
+            }
+            if (isNaN(period.importPrice) || period.importPrice < 0) {
+                errors.push(`${label}: import price must be a non-negative number`);
+            }
+            if (period.monthFrom < 1 || period.monthFrom > 12 || period.monthTo < 1 || period.monthTo > 12) {
+                errors.push(`${label}: months must be between 1 and 12`);
+            }
+        });
+
+        return errors;
+    }
+};
@@ -0,0 +1,196 @@
+/**
+ * Tariff Editor Module
+ * UI editor for the time-of-use tariff schedule (one schedule per currency)
+ */
+const TariffEditor = {
+    // Edited schedules per currency (lazily initialized from TariffEngine defaults)
+    schedules: {
+        HUF: null,
+        EUR: null
+    },
+
+    monthNames: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
+    /**
+     * Initialize the editor and attach event listeners
+     */
+    init() {
+        const tariffMode = document.getElementById('tariffMode');
+        if (!tariffMode) return;
+
+        tariffMode.addEventListener('change', () => this.updateVisibility());
+
+        // Each currency keeps its own schedule
+        const currencySelect = document.getElementById('currency');
+        if (currencySelect) {
+            currencySelect.addEventListener('change', () => this.render());
+        }
+
+        document.getElementById('touBaseImportPrice').addEventListener('change', (e) => {
+            this.getSchedule().baseImportPrice = parseFloat(e.target.value);
+            this.validate();
+        });
+        document.getElementById('touBaseExportPrice').addEventListener('change', (e) => {
+            this.getSchedule().baseExportPrice = parseFloat(e.target.value);
+            this.validate();
+        });
+
+        document.getElementById('btnAddTouPeriod').addEventListener('click', () => this.addPeriod());
+        document.getElementById('btnResetTouSchedule').addEventListener('click', () => this.resetSchedule());
+
+        // Delegated listeners for the period rows
+        const tbody = document.getElementById('touPeriodsBody');
+        tbody.addEventListener('change', (e) => this.handlePeriodChange(e));
+        tbody.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.tariff-remove-btn');
+            if (removeBtn) {
+                this.removePeriod(parseInt(removeBtn.getAttribute('data-index'), 10));
+            }
+        });
+
+        this.render();
+        this.updateVisibility();
+    },
+
+    /**
+     * Get currently selected currency from the configuration form
+     */
+    getCurrency() {
+        const currencySelect = document.getElementById('currency');
+        return currencySelect ? currencySelect.value : 'HUF';
+    },
+
+    /**
+     * Get the edited schedule for a currency (defaults to selected currency)
+     * @param {string} currency - 'HUF' | 'EUR'
+     * @returns {Object} TOU schedule
+     */
+    getSchedule(currency = this.getCurrency()) {
+        if (!this.schedules[currency]) {
+            this.schedules[currency] = TariffEngine.getDefaultSchedule(currency);
+        }
+        return this.schedules[currency];
+    },
+
+    /**
+     * Show/hide the editor based on selected tariff mode
+     */
+    updateVisibility() {
+        const isTou = document.getElementById('tariffMode').value === 'tou';
+        document.getElementById('touTariffEditor').style.display = isTou ? 'block' : 'none';
+    },
+
+    /**
+     * Render base prices and period rows for the selected currency
+     */
+    render() {
+        const schedule = this.getSchedule();
+
+        document.getElementById('touBaseImportPrice').value = schedule.baseImportPrice;
+        document.getElementById('touBaseExportPrice').value = schedule.baseExportPrice;
+
+        const monthOptions = (selected) => this.monthNames
+            .map((name, i) => `<option value="${i + 1}"${selected === i + 1 ? ' selected' : ''}>${name}</option>`)
+            .join('');
+        const dayOptions = (selected) => [['all', 'All days'], ['weekday', 'Weekdays'], ['weekend', 'Weekends']]
+            .map(([value, label]) => `<option value="${value}"${selected === value ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        const tbody = document.getElementById('touPeriodsBody');
+        tbody.innerHTML = '';
+
+        schedule.periods.forEach((period, i) => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><input type="text" data-index="${i}" data-field="name" value="${String(period.name).replace(/"/g, '&quot;')}"></td>
+                <td><select data-index="${i}" data-field="monthFrom">${monthOptions(period.monthFrom)}</select></td>
+                <td><select data-index="${i}" data-field="monthTo">${monthOptions(period.monthTo)}</select></td>
+                <td><select data-index="${i}" data-field="days">${dayOptions(period.days)}</select></td>
+                <td><input type="time" data-index="${i}" data-field="start" value="${period.start}" step="900"></td>
+                <td><input type="time" data-index="${i}" data-field="end" value="${period.end}" step="900"></td>
+                <td><input type="number" data-index="${i}" data-field="importPrice" value="${period.importPrice}" min="0" step="0.01"></td>
+                <td><input type="number" data-index="${i}" data-field="exportPrice" value="${period.exportPrice ?? ''}" min="0" step="0.01" placeholder="Base"></td>
+                <td><button class="tariff-remove-btn" data-index="${i}" title="Remove period">✕</button></td>
+            `;
+        });
+
+        this.validate();
+    },
+
+    /**
+     * Update schedule when a period input changes
+     */
+    handlePeriodChange(e) {
+        const index = parseInt(e.target.getAttribute('data-index'), 10);
+        const field = e.target.getAttribute('data-field');
+        if (isNaN(index) || !field) return;
+
+        const period = this.getSchedule().periods[index];
+        const value = e.target.value;
+
+        if (field === 'monthFrom' || field === 'monthTo') {
+            period[field] = parseInt(value, 10);
+        } else if (field === 'importPrice') {
+            period[field] = parseFloat(value);
+        } else if (field === 'exportPrice') {
+            // Empty export price falls back to base export price
+            period[field] = value === '' ? null : parseFloat(value);
+        } else {
+            period[field] = value;
+        }
+
+        this.validate();
+    },
+
+    /**
+     * Append a new whole-day period
+     */
+    addPeriod() {
+        const schedule = this.getSchedule();
+        schedule.periods.push({
+            name: `Period ${schedule.periods.length + 1}`,
+            monthFrom: 1,
+            monthTo: 12,
+            days: 'all',
+            start: '00:00',
+            end: '00:00',
+            importPrice: schedule.baseImportPrice,
+            exportPrice: null
+        });
+        this.render();
+    },
+
+    /**
+     * Remove a period by index
+     */
+    removePeriod(index) {
+        this.getSchedule().periods.splice(index, 1);
+        this.render();
+    },
+
+    /**
+     * Restore the example schedule for the selected currency
+     */
+    resetSchedule() {
+        this.schedules[this.getCurrency()] = TariffEngine.getDefaultSchedule(this.getCurrency());
+        this.render();
+    },
+
+    /**
+     * Validate schedule and show problems below the editor
+     * @returns {boolean} True if schedule is valid
+     */
+    validate() {
+        const errors = TariffEngine.validateSchedule(this.getSchedule());
+        const infoEl = document.getElementById('touValidationInfo');
+
+        if (errors.length > 0) {
+            infoEl.textContent = `⚠️ ${errors.join(' | ')}`;
+            infoEl.style.display = 'block';
+        } else {
+            infoEl.style.display = 'none';
+        }
+
+        return errors.length === 0;
+    }
+};
@@ -19,10 +19,14 @@ const Visualizer = {
         
         // Prepare base data
         const solarPower = aggregatedData.map(d => d.productionKw);
-        // For energy mode: convert kW to kWh for 15min data (multiply by 0.25), aggregated data already has kWh
-        const solarEnergy = aggregatedData.map(d => aggregationLevel === '15min' ? d.productionKw * 0.25 : d.productionKw);
+        // For energy mode: convert kW to kWh for raw interval data (multiply by the interval hours), aggregated data already has kWh
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const solarEnergy = aggregatedData.map(d => aggregationLevel === '15min' ? d.productionKw * intervalHours : d.productionKw);
         const importData = aggregatedData.map(d => d.importKwh);
         const exportData = aggregatedData.map(d => d.exportKwh);
+        // Household load follows the solar unit (kW in power mode)
+        const consumptionData = aggregatedData.map(d => viewMode === 'power' ? (d.consumptionKwh || 0) / intervalHours : (d.consumptionKwh || 0));
+        const consumptionName = viewMode === 'power' ? 'Household Load (kW)' : 'Household Consumption (kWh)';
 
         // Determine which data to show based on view mode
         const solarData = viewMode === 'power' ? solarPower : solarEnergy;
@@ -88,6 +92,23 @@ const Visualizer = {
             hovertemplate: '<b>Grid Export</b><br>%{y:.2f} kWh<extra></extra>'
         };
 
+        const consumptionTrace = isAggregated ? {
+            x: timestamps,
+            y: consumptionData,
+            name: consumptionName,
+            type: 'bar',
+            marker: { color: '#f472b6' },
+            hovertemplate: `<b>${consumptionName}</b><br>%{y:.2f} ${solarUnit}<extra></extra>`
+        } : {
+            x: timestamps,
+            y: consumptionData,
+            name: consumptionName,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#f472b6', width: 2 },
+            hovertemplate: `<b>${consumptionName}</b><br>%{y:.2f} ${solarUnit}<extra></extra>`
+        };
+
         const layout = {
             title: {
                 text: 'Energy Data Overview',
@@ -142,7 +163,7 @@ const Visualizer = {
 
         const config = { responsive: true };
 
-        Plotly.react('chartContainer', [solarTrace, importTrace, exportTrace], layout, config);
+        Plotly.react('chartContainer', [solarTrace, consumptionTrace, importTrace, exportTrace], layout, config);
 
         // Show custom toggle buttons
         document.getElementById('viewToggleContainer').style.display = 'block';
@@ -167,10 +188,11 @@ const Visualizer = {
             return ts >= startMs && ts <= endMs;
         });
         
-        const filteredOrigData = originalData.filter(d => {
+        // Original flows of the hypothetical system (PV size, load scenario), as measured by default
+        const filteredOrigData = BatterySimulation.prepareTimeline(originalData.filter(d => {
             const ts = new Date(d.timestamp).getTime();
             return ts >= startMs && ts <= endMs;
-        });
+        }));
 
         if (filteredSimData.length === 0 || filteredOrigData.length === 0) {
             console.warn('No data in simulation range');
@@ -184,8 +206,9 @@ const Visualizer = {
         // Prepare solar data (only solar switches between kW and kWh)
         const solarPower = aggregatedSimData.map(d => d.productionKw);
         // For aggregated data, productionKw already contains correct value based on view mode
-        // For 15min data, we still need to convert kW to kWh by multiplying by 0.25
-        const solarEnergy = aggregatedSimData.map(d => aggregationLevel === '15min' ? d.productionKw * 0.25 : d.productionKw);
+        // For raw interval data, we still need to convert kW to kWh by multiplying by the interval hours
+        const intervalHours = BatterySimulation.getIntervalHours();
+        const solarEnergy = aggregatedSimData.map(d => aggregationLevel === '15min' ? d.productionKw * intervalHours : d.productionKw);
         const solarData = viewType === 'power' ? solarPower : solarEnergy;
         const solarName = viewType === 'power' ? 'Solar Production (kW)' : 'Solar Energy (kWh)';
         const solarUnit = viewType === 'power' ? 'kW' : 'kWh';
@@ -260,9 +283,10 @@ const Visualizer = {
         };
 
         // Trace 4: Original Export (solid green) - always kWh
+        // Taken from the simulated points, which carry the baseline export with the export limit applied
         const origExportTrace = isAggregated ? {
             x: timestamps,
-            y: aggregatedOrigData.map(d => d.exportKwh),
+            y: aggregatedSimData.map(d => d.exportKwh),
             name: 'Original Export (kWh)',
             type: 'bar',
             marker: { color: '#10b981' },
@@ -270,7 +294,7 @@ const Visualizer = {
             hovertemplate: '<b>Original Export</b><br>%{y:.2f} kWh<extra></extra>'
         } : {
             x: timestamps,
-            y: aggregatedOrigData.map(d => d.exportKwh),
+            y: aggregatedSimData.map(d => d.exportKwh),
             name: 'Original Export (kWh)',
             type: 'scatter',
             mode: 'lines',
@@ -311,6 +335,53 @@ const Visualizer = {
             hovertemplate: '<b>Battery SOC</b><br>%{y:.2f} kWh<extra></extra>'
         };
 
+        const traces = [solarTrace, origImportTrace, newImportTrace, origExportTrace, newExportTrace, batterySocTrace];
+
+        // Traces 7-8: Curtailed PV above the export limit (only when an export limit is set)
+        if (filteredSimData[0].curtailedKwh !== undefined) {
+            const origCurtailedTrace = isAggregated ? {
+                x: timestamps,
+                y: aggregatedSimData.map(d => d.curtailedKwh),
+                name: 'Curtailed PV (kWh)',
+                type: 'bar',
+                marker: { color: '#ef4444' },
+                yaxis: 'y',
+                hovertemplate: '<b>Curtailed PV</b><br>%{y:.2f} kWh<extra></extra>'
+            } : {
+                x: timestamps,
+                y: aggregatedSimData.map(d => d.curtailedKwh),
+                name: 'Curtailed PV (kWh)',
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: '#ef4444', width: 2 },
+                fill: 'tozeroy',
+                fillcolor: 'rgba(239, 68, 68, 0.15)',
+                yaxis: 'y',
+                hovertemplate: '<b>Curtailed PV</b><br>%{y:.2f} kWh<extra></extra>'
+            };
+
+            const newCurtailedTrace = isAggregated ? {
+                x: timestamps,
+                y: aggregatedSimData.map(d => d.curtailedWithBatteryKwh),
+                name: 'Curtailed PV with Battery (kWh)',
+                type: 'bar',
+                marker: { color: '#fca5a5' },
+                yaxis: 'y',
+                hovertemplate: '<b>Curtailed PV with Battery</b><br>%{y:.2f} kWh<extra></extra>'
+            } : {
+                x: timestamps,
+                y: aggregatedSimData.map(d => d.curtailedWithBatteryKwh),
+                name: 'Curtailed PV with Battery (kWh)',
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: '#fca5a5', width: 2, dash: '5,5' },
+                yaxis: 'y',
+                hovertemplate: '<b>Curtailed PV with Battery</b><br>%{y:.2f} kWh<extra></extra>'
+            };
+
+            traces.push(origCurtailedTrace, newCurtailedTrace);
+        }
+
         const layout = {
             title: {
                 text: 'Energy Flow: Original vs Optimized',
@@ -376,7 +447,7 @@ const Visualizer = {
         const config = { responsive: true };
 
         Plotly.react('energyFlowChartContainer', 
-            [solarTrace, origImportTrace, newImportTrace, origExportTrace, newExportTrace, batterySocTrace], 
+            traces, 
             layout, 
             config
         ).then(() => {
@@ -387,10 +458,435 @@ const Visualizer = {
         });
     },
 
+    /**
+     * Render battery state of health and cumulative throughput over time
+     * @param {Array} simulatedData - Simulation results (with batterySohPercent)
+     * @param {number} endOfLifeSohPercent - EOL threshold drawn as a dashed line
+     */
+    renderSohChart(simulatedData, endOfLifeSohPercent) {
+        // One sample per day is enough for slow aging curves (last interval of each day)
+        const dailyPoints = new Map();
+        simulatedData.forEach(point => {
+            const date = new Date(point.timestamp);
+            dailyPoints.set(`${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`, point);
+        });
+        const samples = Array.from(dailyPoints.values());
+        const timestamps = samples.map(d => d.timestamp);
+
+        const sohTrace = {
+            x: timestamps,
+            y: samples.map(d => d.batterySohPercent),
+            name: 'State of Health (%)',
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#22c55e', width: 3 },
+            yaxis: 'y',
+            hovertemplate: '<b>SOH</b><br>%{y:.2f}%<extra></extra>'
+        };
+
+        const throughputTrace = {
+            x: timestamps,
+            y: samples.map(d => d.cumulativeThroughputKwh),
+            name: 'Cumulative Throughput (kWh)',
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#a855f7', width: 2, dash: 'dot' },
+            yaxis: 'y2',
+            hovertemplate: '<b>Throughput</b><br>%{y:.1f} kWh<extra></extra>'
+        };
+
+        const minSoh = Math.min(endOfLifeSohPercent, ...sohTrace.y);
+
+        const layout = {
+            title: {
+                text: 'Battery State of Health & Cumulative Throughput',
+                font: { color: '#e6edf3' }
+            },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            template: 'plotly_dark',
+            xaxis: {
+                title: 'Time',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' }
+            },
+            yaxis: {
+                title: 'State of Health (%)',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#22c55e' },
+                range: [Math.max(0, minSoh - 5), 101]
+            },
+            yaxis2: {
+                title: 'Cumulative Throughput (kWh)',
+                overlaying: 'y',
+                side: 'right',
+                gridcolor: 'transparent',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#a855f7' }
+            },
+            shapes: [
+                // End-of-life threshold
+                {
+                    type: 'line',
+                    xref: 'paper',
+                    x0: 0,
+                    x1: 1,
+                    y0: endOfLifeSohPercent,
+                    y1: endOfLifeSohPercent,
+                    line: { color: '#ef4444', width: 2, dash: 'dash' }
+                }
+            ],
+            legend: {
+                font: { color: '#cbd5e1' },
+                orientation: 'h',
+                yanchor: 'bottom',
+                y: 1.02,
+                xanchor: 'right',
+                x: 1
+            },
+            margin: { t: 80, b: 50, l: 60, r: 70 },
+            hovermode: 'x unified',
+            hoverlabel: {
+                bgcolor: '#1e293b',
+                bordercolor: '#22c55e',
+                font: {
+                    family: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+                    size: 13,
+                    color: '#e6edf3'
+                }
+            }
+        };
+
+        Plotly.react('sohChartContainer', [sohTrace, throughputTrace], layout, { responsive: true })
+            .then(() => {
+                setTimeout(() => {
+                    Plotly.Plots.resize('sohChartContainer');
+                }, 100);
+            });
+    },
+
+    /**
+     * Render monthly peak grid import without and with battery
+     * @param {Array} monthlyPeaks - Output of BatterySimulation.calculateMonthlyPeaks
+     * @param {number|null} limitKw - Peak shaving import limit drawn as a dashed line (null = none)
+     */
+    renderMonthlyPeakChart(monthlyPeaks, limitKw = null) {
+        const months = monthlyPeaks.map(month => month.monthKey);
+
+        const beforeTrace = {
+            x: months,
+            y: monthlyPeaks.map(month => month.peakBeforeKw),
+            name: 'Peak Import without Battery (kW)',
+            type: 'bar',
+            marker: { color: '#3b82f6' },
+            hovertemplate: '<b>Without Battery</b><br>%{y:.2f} kW<extra></extra>'
+        };
+
+        const afterTrace = {
+            x: months,
+            y: monthlyPeaks.map(month => month.peakAfterKw),
+            name: 'Peak Import with Battery (kW)',
+            type: 'bar',
+            marker: { color: '#93c5fd' },
+            hovertemplate: '<b>With Battery</b><br>%{y:.2f} kW<extra></extra>'
+        };
+
+        const layout = {
+            title: {
+                text: `Monthly Peak Grid Import (${BatterySimulation.config.intervalMinutes}-min Average Power)`,
+                font: { color: '#e6edf3' }
+            },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            template: 'plotly_dark',
+            barmode: 'group',
+            xaxis: {
+                title: 'Month',
+                type: 'category',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' }
+            },
+            yaxis: {
+                title: 'Peak Import (kW)',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' }
+            },
+            shapes: limitKw !== null ? [
+                // Peak shaving import limit
+                {
+                    type: 'line',
+                    xref: 'paper',
+                    x0: 0,
+                    x1: 1,
+                    y0: limitKw,
+                    y1: limitKw,
+                    line: { color: '#ef4444', width: 2, dash: 'dash' }
+                }
+            ] : [],
+            legend: {
+                font: { color: '#cbd5e1' },
+                orientation: 'h',
+                yanchor: 'bottom',
+                y: 1.02,
+                xanchor: 'right',
+                x: 1
+            },
+            margin: { t: 80, b: 60, l: 70, r: 40 },
+            hovermode: 'x unified',
+            hoverlabel: {
+                bgcolor: '#1e293b',
+                bordercolor: '#2f81f7',
+                font: {
+                    family: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+                    size: 13,
+                    color: '#e6edf3'
+                }
+            }
+        };
+
+        Plotly.react('peakChartContainer', [beforeTrace, afterTrace], layout, { responsive: true })
+            .then(() => {
+                setTimeout(() => {
+                    Plotly.Plots.resize('peakChartContainer');
+                }, 100);
+            });
+    },
+
+    /**
+     * Render rainflow cycle depth histogram
+     * @param {Object} cycleStats - Output of CycleAnalysis.analyze
+     */
+    renderCycleHistogram(cycleStats) {
+        const labels = cycleStats.histogram.map(bin => `${bin.fromPercent}-${bin.toPercent}%`);
+
+        const trace = {
+            x: labels,
+            y: cycleStats.histogram.map(bin => bin.cycles),
+            name: 'Cycles',
+            type: 'bar',
+            marker: { color: '#2f81f7' },
+            hovertemplate: '<b>Depth %{x}</b><br>%{y:.1f} cycles<extra></extra>'
+        };
+
+        const layout = {
+            title: {
+                text: 'Cycle Depth Distribution (Half Cycles Count 0.5)',
+                font: { color: '#e6edf3' }
+            },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            template: 'plotly_dark',
+            xaxis: {
+                title: 'Cycle Depth (% of Capacity)',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' }
+            },
+            yaxis: {
+                title: 'Number of Cycles',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' }
+            },
+            margin: { t: 60, b: 60, l: 70, r: 40 },
+            hoverlabel: {
+                bgcolor: '#1e293b',
+                bordercolor: '#2f81f7',
+                font: {
+                    family: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+                    size: 13,
+                    color: '#e6edf3'
+                }
+            }
+        };
+
+        Plotly.react('cycleHistogramContainer', [trace], layout, { responsive: true })
+            .then(() => {
+                setTimeout(() => {
+                    Plotly.Plots.resize('cycleHistogramContainer');
+                }, 100);
+            });
+    },
+
+    /**
+     * Render the average daily load profile (all data and per season)
+     * @param {Object} loadStats - Output of LoadAnalysis.analyze
+     */
+    renderLoadProfileChart(loadStats) {
+        const hours = Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+        const seasonColors = { winter: '#93c5fd', spring: '#6ee7b7', summer: '#fbbf24', autumn: '#fca5a5' };
+
+        // Seasons without data (short ranges) are left out
+        const seasonTraces = LoadAnalysis.seasons
+            .filter(season => loadStats.hourlyProfiles[season.key].some(value => value !== null))
+            .map(season => ({
+                x: hours,
+                y: loadStats.hourlyProfiles[season.key],
+                name: season.label,
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: seasonColors[season.key], width: 2, dash: 'dot' },
+                hovertemplate: `<b>${season.label}</b><br>%{y:.2f} kW<extra></extra>`
+            }));
+
+        const allTrace = {
+            x: hours,
+            y: loadStats.hourlyProfiles.all,
+            name: 'Average Load',
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#f472b6', width: 3 },
+            hovertemplate: '<b>Average Load</b><br>%{y:.2f} kW<extra></extra>'
+        };
+
+        const baseLoadTrace = {
+            x: hours,
+            y: hours.map(() => loadStats.baseLoadKw),
+            name: 'Base Load',
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#cbd5e1', width: 1, dash: 'dash' },
+            hovertemplate: '<b>Base Load</b><br>%{y:.2f} kW<extra></extra>'
+        };
+
+        const layout = {
+            title: {
+                text: 'Average Daily Load Profile',
+                font: { color: '#e6edf3' }
+            },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            template: 'plotly_dark',
+            xaxis: {
+                title: 'Hour of Day',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' }
+            },
+            yaxis: {
+                title: 'Average Load (kW)',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' },
+                rangemode: 'tozero'
+            },
+            legend: {
+                font: { color: '#cbd5e1' }
+            },
+            margin: { t: 60, b: 60, l: 70, r: 40 },
+            hovermode: 'x unified',
+            hoverlabel: {
+                bgcolor: '#1e293b',
+                bordercolor: '#2f81f7',
+                font: {
+                    family: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+                    size: 13,
+                    color: '#e6edf3'
+                }
+            }
+        };
+
+        Plotly.react('loadProfileContainer', [allTrace, ...seasonTraces, baseLoadTrace], layout, { responsive: true })
+            .then(() => {
+                setTimeout(() => {
+                    Plotly.Plots.resize('loadProfileContainer');
+                }, 100);
+            });
+    },
+
+    /**
+     * Render the investment cash flows: yearly net cash flow bars with cumulative lines
+     * @param {Object} investment - Output of InvestmentAnalysis.analyze
+     * @param {string} currency - 'HUF' or 'EUR'
+     */
+    renderCashFlowChart(investment, currency) {
+        const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
+        const years = investment.cashFlows.map(flow => flow.year);
+
+        const netTrace = {
+            x: years,
+            y: investment.cashFlows.map(flow => flow.netCashFlow),
+            name: 'Net Cash Flow',
+            type: 'bar',
+            marker: { color: investment.cashFlows.map(flow => flow.netCashFlow >= 0 ? '#10b981' : '#ef4444') },
+            hovertemplate: `<b>Net Cash Flow</b><br>%{y:,.0f} ${currencySymbol}<extra></extra>`
+        };
+
+        const cumulativeTrace = {
+            x: years,
+            y: investment.cashFlows.map(flow => flow.cumulative),
+            name: 'Cumulative',
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: '#fbbf24', width: 3 },
+            hovertemplate: `<b>Cumulative</b><br>%{y:,.0f} ${currencySymbol}<extra></extra>`
+        };
+
+        const discountedTrace = {
+            x: years,
+            y: investment.cashFlows.map(flow => flow.discountedCumulative),
+            name: 'Discounted Cumulative',
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: '#a855f7', width: 2, dash: 'dot' },
+            hovertemplate: `<b>Discounted Cumulative</b><br>%{y:,.0f} ${currencySymbol}<extra></extra>`
+        };
+
+        const layout = {
+            title: {
+                text: 'Cumulative Cash Flow',
+                font: { color: '#e6edf3' }
+            },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            template: 'plotly_dark',
+            xaxis: {
+                title: 'Year',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' },
+                dtick: investment.cashFlows.length > 25 ? 5 : 1
+            },
+            yaxis: {
+                title: `Cash Flow (${currencySymbol})`,
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' },
+                zeroline: true,
+                zerolinecolor: '#cbd5e1'
+            },
+            legend: {
+                font: { color: '#cbd5e1' }
+            },
+            margin: { t: 60, b: 60, l: 90, r: 40 },
+            hovermode: 'x unified',
+            hoverlabel: {
+                bgcolor: '#1e293b',
+                bordercolor: '#2f81f7',
+                font: {
+                    family: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+                    size: 13,
+                    color: '#e6edf3'
+                }
+            }
+        };
+
+        Plotly.react('investmentCashFlowContainer', [netTrace, cumulativeTrace, discountedTrace], layout, { responsive: true })
+            .then(() => {
+                setTimeout(() => {
+                    Plotly.Plots.resize('investmentCashFlowContainer');
+                }, 100);
+            });
+    },
+
     /**
      * Render battery optimization curve chart
      * @param {Array} results - Array of optimization results
-     * @param {String} metricType - 'import' or 'export'
+     * @param {String} metricType - 'import', 'export', 'npv' or 'payback' (the last two need investment data)
      */
     renderOptimizationCurve(results, metricType = 'import') {
         if (!results || results.length === 0) {
@@ -400,22 +896,36 @@ const Visualizer = {
 
         // Extract data based on metric type
         const capacities = results.map(r => r.capacityKwh);
-        const reductions = metricType === 'import' 
-            ? results.map(r => r.gridImportReductionPercent)
-            : results.map(r => r.gridExportReductionPercent);
         const savings = results.map(r => r.totalSavings);
         
         const currency = results[0].currency;
         const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
         const decimals = currency === 'HUF' ? 0 : 2;
 
-        // Build hover text with both reduction % and savings
+        // Values, labels and units per metric (payback is null where the size never pays back)
+        const metrics = {
+            import: { label: 'Grid Import Reduction', unit: '%', values: results.map(r => r.gridImportReductionPercent) },
+            export: { label: 'Grid Export Reduction', unit: '%', values: results.map(r => r.gridExportReductionPercent) },
+            npv: { label: 'Net Present Value', unit: currencySymbol, values: results.map(r => r.npv) },
+            payback: { label: 'Simple Payback', unit: 'years', values: results.map(r => r.capacityKwh > 0 ? r.simplePaybackYears : null) }
+        };
+        const metric = metrics[metricType] || metrics.import;
+        const reductions = metric.values;
+        const isReduction = metricType !== 'npv' && metricType !== 'payback';
+
+        // Build hover text with the metric value and savings
+        const formatValue = value => {
+            if (value === null || value === undefined) return '--';
+            if (metricType === 'npv') return `${App.formatNumber(value, decimals)} ${currencySymbol}`;
+            if (metricType === 'payback') return `${value.toFixed(1)} y`;
+            return `${value.toFixed(1)}%`;
+        };
         const hoverText = results.map((r, i) => 
-            `${reductions[i].toFixed(1)}% / ${App.formatNumber(savings[i], decimals)} ${currencySymbol}`
+            `${formatValue(reductions[i])} / ${App.formatNumber(savings[i], decimals)} ${currencySymbol}`
         );
 
         // Chart title based on metric type
-        const metricLabel = metricType === 'import' ? 'Grid Import Reduction' : 'Grid Export Reduction';
+        const metricLabel = metric.label;
         const chartTitle = `Battery Optimization Curve - ${metricLabel} vs Battery Size`;
 
         // Create trace
@@ -424,7 +934,7 @@ const Visualizer = {
             y: reductions,
             name: metricLabel,
             type: 'scatter',
-            mode: 'lines+markers+text',    // Added 'text' to show labels
+            mode: results.length > 15 ? 'lines+markers' : 'lines+markers+text', // Labels only while they fit
             line: {
                 color: '#a855f7',           // Purple/violet
                 width: 3,
@@ -447,10 +957,73 @@ const Visualizer = {
             },
             hovertemplate: 
                 '<b>Battery Size:</b> %{x} kWh<br>' +
-                '<b>' + metricLabel + ':</b> %{y:.1f}%<br>' +
-                '<b>Total Savings:</b> %{text}<br>' +
+                '<b>' + metricLabel + ' / Total Savings:</b> %{text}<br>' +
+                '<extra></extra>'
+        };
+
+        // Marginal annual savings per added kWh (secondary axis): where the curve flattens
+        const marginalTrace = {
+            x: capacities,
+            y: results.map(r => r.marginalSavingsPerKwh === undefined ? null : r.marginalSavingsPerKwh),
+            name: 'Marginal Savings per Added kWh',
+            type: 'scatter',
+            mode: 'lines+markers',
+            yaxis: 'y2',
+            line: { color: '#fbbf24', width: 2, dash: 'dot', shape: 'hv' },
+            marker: { size: 6, color: '#fbbf24' },
+            hovertemplate: 
+                '<b>Battery Size:</b> %{x} kWh<br>' +
+                `<b>Marginal Savings:</b> %{y:,.${decimals}f} ${currencySymbol}/kWh per year<br>` +
                 '<extra></extra>'
         };
+        const traces = results.some(r => r.marginalSavingsPerKwh !== null && r.marginalSavingsPerKwh !== undefined)
+            ? [trace, marginalTrace]
+            : [trace];
+
+        // Economically optimal size (highest NPV, investment data only)
+        const optimum = results.find(r => r.isEconomicOptimum);
+        const optimumShapes = optimum ? [{
+            type: 'line',
+            xref: 'x',
+            yref: 'paper',
+            x0: optimum.capacityKwh,
+            x1: optimum.capacityKwh,
+            y0: 0,
+            y1: 1,
+            line: { color: '#10b981', width: 2, dash: 'dash' }
+        }] : [];
+        const optimumAnnotations = optimum ? [{
+            x: optimum.capacityKwh,
+            y: 1,
+            xref: 'x',
+            yref: 'paper',
+            text: `Economic Optimum: ${optimum.capacityKwh} kWh<br>NPV ${App.formatNumber(optimum.npv, decimals)} ${currencySymbol}`,
+            showarrow: false,
+            yanchor: 'bottom',
+            font: { size: 11, color: '#10b981' },
+            bgcolor: '#1e293b',
+            bordercolor: '#10b981',
+            borderwidth: 1,
+            borderpad: 4
+        }] : [];
+        // Investment data but no size with a non-negative NPV: no battery is economical
+        if (!optimum && results.some(r => r.capacityKwh > 0 && typeof r.npv === 'number')) {
+            optimumAnnotations.push({
+                x: 0.5,
+                y: 1,
+                xref: 'paper',
+                yref: 'paper',
+                text: 'Not economical: every battery size has a negative NPV',
+                showarrow: false,
+                yanchor: 'bottom',
+                font: { size: 11, color: '#f59e0b' },
+                bgcolor: '#1e293b',
+                bordercolor: '#f59e0b',
+                borderwidth: 1,
+                borderpad: 4
+            });
+        }
+        const definedValues = reductions.filter(value => value !== null && value !== undefined);
 
         // Layout configuration
         const layout = {
@@ -470,19 +1043,35 @@ const Visualizer = {
                 tickfont: { color: '#cbd5e1' },
                 titlefont: { color: '#e6edf3' },
                 type: 'linear',
-                dtick: 20                   // Spacing between ticks
+                dtick: Math.max(...capacities) > 100 ? 20 : undefined // Spacing between ticks (automatic for small ranges)
             },
             yaxis: {
-                title: metricLabel + ' (%)',
+                title: `${metricLabel} (${metric.unit})`,
                 gridcolor: '#495057',
                 tickfont: { color: '#cbd5e1' },
                 titlefont: { color: '#e6edf3' },
-                range: [0, Math.max(...reductions) * 1.15],  // Auto-scale with 15% padding
+                // Reductions auto-scale from 0 with 15% padding, NPV can be negative
+                range: isReduction ? [0, Math.max(...definedValues) * 1.15] : undefined,
+                autorange: !isReduction,
                 zeroline: true,
                 zerolinecolor: '#495057',
                 zerolinewidth: 1
             },
-            margin: { t: 80, b: 60, l: 70, r: 40 },
+            yaxis2: {
+                title: `Marginal Savings (${currencySymbol}/kWh per year)`,
+                overlaying: 'y',
+                side: 'right',
+                showgrid: false,
+                tickfont: { color: '#fbbf24' },
+                titlefont: { color: '#fbbf24' }
+            },
+            legend: {
+                font: { color: '#cbd5e1' },
+                orientation: 'h',
+                y: -0.15
+            },
+            shapes: optimumShapes,
+            margin: { t: 80, b: 90, l: 70, r: 80 },
             hovermode: 'closest',
             hoverlabel: {
                 bgcolor: '#1e293b',
@@ -494,8 +1083,9 @@ const Visualizer = {
                 }
             },
             annotations: [
-                // Annotation for 0 kWh baseline
-                {
+                ...optimumAnnotations,
+                // Annotation for 0 kWh baseline (reduction views only)
+                ...(isReduction ? [{
                     x: 0,
                     y: 0,
                     text: 'No Battery<br>(Baseline)',
@@ -514,7 +1104,7 @@ const Visualizer = {
                     bordercolor: '#495057',
                     borderwidth: 1,
                     borderpad: 4
-                }
+                }] : [])
             ]
         };
 
@@ -532,12 +1122,148 @@ const Visualizer = {
         };
 
         // Render chart
-        Plotly.newPlot('optimizationCurveContainer', [trace], layout, config)
+        Plotly.newPlot('optimizationCurveContainer', traces, layout, config)
             .then(() => {
                 // Force resize to ensure proper width (consistent with other charts)
                 setTimeout(() => {
                     Plotly.Plots.resize('optimizationCurveContainer');
                 }, 100);
             });
+    },
+
+    /**
+     * Render the capacity x power heatmap
+     * @param {Object} heatmap - { capacities, powers, cells, currency }
+     * @param {String} metricType - 'savings' (total savings) or 'npv' (needs investment data)
+     */
+    renderOptimizationHeatmap(heatmap, metricType = 'savings') {
+        if (!heatmap || heatmap.cells.length === 0) {
+            console.warn('No heatmap results to render');
+            return;
+        }
+
+        const { capacities, powers, cells, currency } = heatmap;
+        const currencySymbol = currency === 'HUF' ? 'Ft' : '€';
+        const decimals = currency === 'HUF' ? 0 : 2;
+        const metricLabel = metricType === 'npv' ? 'Net Present Value' : 'Total Savings';
+        const valueOf = cell => (metricType === 'npv' ? cell.npv : cell.totalSavings);
+
+        // z[power][capacity]
+        const cellAt = (capacity, power) => cells.find(c => c.capacityKwh === capacity && c.powerKw === power);
+        const z = powers.map(power => capacities.map(capacity => {
+            const cell = cellAt(capacity, power);
+            return cell ? valueOf(cell) : null;
+        }));
+
+        const heatmapTrace = {
+            x: capacities,
+            y: powers,
+            z: z,
+            type: 'heatmap',
+            colorscale: 'Viridis',
+            zsmooth: false,
+            colorbar: {
+                title: { text: `${metricLabel} (${currencySymbol})`, side: 'right', font: { color: '#e6edf3' } },
+                tickfont: { color: '#cbd5e1' }
+            },
+            hovertemplate:
+                '<b>Battery Size:</b> %{x} kWh<br>' +
+                '<b>Battery Power:</b> %{y} kW<br>' +
+                `<b>${metricLabel}:</b> %{z:,.${decimals}f} ${currencySymbol}<br>` +
+                '<extra></extra>'
+        };
+
+        // Best combination with a battery (capacity > 0); in the NPV view only if it pays back
+        const top = cells
+            .filter(c => c.capacityKwh > 0 && typeof valueOf(c) === 'number')
+            .reduce((leader, c) => (leader === null || valueOf(c) > valueOf(leader) ? c : leader), null);
+        const notEconomical = metricType === 'npv' && top !== null && top.npv < 0;
+        const best = notEconomical ? null : top;
+        const traces = best ? [heatmapTrace, {
+            x: [best.capacityKwh],
+            y: [best.powerKw],
+            name: 'Best Combination',
+            type: 'scatter',
+            mode: 'markers',
+            marker: { symbol: 'star', size: 16, color: '#10b981', line: { color: '#ffffff', width: 2 } },
+            hovertemplate:
+                '<b>Best Combination</b><br>' +
+                '%{x} kWh / %{y} kW<br>' +
+                `<b>${metricLabel}:</b> ${App.formatNumber(valueOf(best), decimals)} ${currencySymbol}<br>` +
+                '<extra></extra>'
+        }] : [heatmapTrace];
+
+        const layout = {
+            title: {
+                text: `Battery Optimization Heatmap - ${metricLabel} by Capacity and Power`,
+                font: {
+                    color: '#e6edf3',
+                    size: 18
+                }
+            },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            template: 'plotly_dark',
+            xaxis: {
+                title: 'Battery Capacity (kWh)',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' },
+                type: 'category' // Evenly spaced cells for uneven capacity points
+            },
+            yaxis: {
+                title: 'Battery Power (kW)',
+                gridcolor: '#495057',
+                tickfont: { color: '#cbd5e1' },
+                titlefont: { color: '#e6edf3' },
+                type: 'category'
+            },
+            showlegend: false,
+            annotations: notEconomical ? [{
+                x: 0.5,
+                y: 1,
+                xref: 'paper',
+                yref: 'paper',
+                text: 'Not economical: every combination has a negative NPV',
+                showarrow: false,
+                yanchor: 'bottom',
+                font: { size: 11, color: '#f59e0b' },
+                bgcolor: '#1e293b',
+                bordercolor: '#f59e0b',
+                borderwidth: 1,
+                borderpad: 4
+            }] : [],
+            margin: { t: 80, b: 70, l: 70, r: 40 },
+            hovermode: 'closest',
+            hoverlabel: {
+                bgcolor: '#1e293b',
+                bordercolor: '#a855f7',
+                font: {
+                    family: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+                    size: 14,
+                    color: '#e6edf3'
+                }
+            }
+        };
+
+        const config = {
+            responsive: true,
+            displayModeBar: true,
+            modeBarButtonsToRemove: ['lasso2d', 'select2d'],
+            toImageButtonOptions: {
+                format: 'png',
+                filename: 'battery_capacity_power_heatmap',
+                height: 600,
+                width: 1200,
+                scale: 2
+            }
+        };
+
+        Plotly.newPlot('heatmapContainer', traces, layout, config)
+            .then(() => {
+                setTimeout(() => {
+                    Plotly.Plots.resize('heatmapContainer');
+                }, 100);
+            });
     }
 };
\ No newline at end of file
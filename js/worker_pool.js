@@ -0,0 +1,192 @@
+/**
+ * Worker Pool Module
+ * Distributes the simulations of an optimization sweep across Web Workers (js/simulation_worker.js),
+ * one per CPU core. Each worker gets the sweep data once and then simulates one configuration at a
+ * time; queued configurations go to whichever worker finishes first.
+ * Every simulation gets the page's live BatterySimulation config (interval length, tariff, ...)
+ * with the sweep point's settings on top, since workers start from the module defaults.
+ * Where workers are unavailable (e.g. index.html opened from file:// in Chromium) or fail to load,
+ * the pool falls back to running the simulations one by one on the page thread.
+ */
+const WorkerPool = {
+    /**
+     * Worker script (relative to index.html) and upper limit of workers
+     */
+    workerUrl: 'js/simulation_worker.js',
+    maxWorkers: 8,
+
+    // Pool state: slots { worker, task } and tasks { config, resolve, reject } waiting for a slot
+    slots: [],
+    queue: [],
+    data: null,
+    pageConfig: null, // Page config at sweep start (base of every task)
+    cancelled: false,
+
+    /**
+     * Number of workers to start: the available cores, at most maxWorkers
+     */
+    getPoolSize() {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        return Math.max(1, Math.min(this.maxWorkers, cores));
+    },
+
+    /**
+     * Start the pool for a sweep
+     * @param {Array} data - Timeline every simulation of the sweep runs on
+     */
+    start(data) {
+        this.stop();
+        this.data = data;
+        this.pageConfig = { ...BatterySimulation.config };
+        this.cancelled = false;
+
+        if (typeof Worker !== 'undefined') {
+            for (let i = 0; i < this.getPoolSize(); i++) {
+                try {
+                    this.slots.push(this.createWorkerSlot());
+                } catch (error) {
+                    console.warn(`Simulation workers unavailable (${error.message}), running on the page thread`);
+                    break;
+                }
+            }
+        }
+        if (this.slots.length === 0) this.slots.push(this.createPageThreadSlot());
+    },
+
+    /**
+     * Whether a sweep is using the pool
+     */
+    isRunning() {
+        return this.data !== null;
+    },
+
+    /**
+     * Number of simulations that run at the same time
+     */
+    getConcurrency() {
+        return this.slots.length;
+    },
+
+    /**
+     * Queue one simulation
+     * @param {Object} config - BatterySimulation settings of this point (on top of the page config)
+     * @returns {Promise<Object>} Simulation metrics
+     */
+    simulate(config) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ config, resolve, reject });
+            this.dispatch();
+        });
+    },
+
+    /**
+     * Cancel the sweep: stop all workers and reject every queued and running simulation
+     */
+    cancel() {
+        const pending = [...this.queue, ...this.slots.map(slot => slot.task).filter(task => task !== null)];
+        this.stop();
+        this.cancelled = true;
+        pending.forEach(task => task.reject(new Error('Calculation cancelled')));
+    },
+
+    /**
+     * Terminate the workers and forget the sweep data
+     */
+    stop() {
+        this.slots.forEach(slot => slot.worker.terminate());
+        this.slots = [];
+        this.queue = [];
+        this.data = null;
+        this.pageConfig = null;
+    },
+
+    /**
+     * Hand queued simulations to idle slots
+     */
+    dispatch() {
+        this.slots.forEach(slot => {
+            if (slot.task !== null || this.queue.length === 0) return;
+            slot.task = this.queue.shift();
+            slot.worker.postMessage({ type: 'simulate', config: { ...this.pageConfig, ...slot.task.config } });
+        });
+    },
+
+    /**
+     * Settle the running simulation of a slot and start the next one
+     * @param {Object} slot - Pool slot
+     * @param {Object} message - { metrics } or { error }
+     */
+    finishTask(slot, message) {
+        const task = slot.task;
+        slot.task = null;
+        if (!task) return;
+
+        if (message.error) {
+            task.reject(new Error(message.error));
+        } else {
+            task.resolve(message.metrics);
+        }
+        this.dispatch();
+    },
+
+    /**
+     * Web Worker slot (throws when the browser refuses to start the worker)
+     */
+    createWorkerSlot() {
+        const slot = { worker: new Worker(this.workerUrl), task: null };
+        slot.worker.onmessage = event => this.finishTask(slot, event.data);
+        // Script loading failed or the worker crashed: requeue its simulation on the other slots
+        slot.worker.onerror = event => {
+            event.preventDefault();
+            console.warn(`Simulation worker failed: ${event.message || 'script could not be loaded'}`);
+            this.removeSlot(slot);
+        };
+        slot.worker.postMessage({ type: 'data', data: this.data });
+        return slot;
+    },
+
+    /**
+     * Fallback slot with the worker interface that simulates on the page thread
+     * (one simulation per timer tick, so the progress bar keeps updating). The page config
+     * is only swapped for the duration of each simulation, so settings changed during the
+     * sweep are kept.
+     */
+    createPageThreadSlot() {
+        const slot = { worker: null, task: null };
+        let timer = null;
+
+        slot.worker = {
+            postMessage: message => {
+                timer = setTimeout(() => {
+                    const pageConfig = BatterySimulation.config;
+                    let result;
+                    try {
+                        BatterySimulation.setConfig(message.config);
+                        result = { metrics: BatterySimulation.simulate(this.data).metrics };
+                    } catch (error) {
+                        result = { error: error.message };
+                    } finally {
+                        BatterySimulation.config = pageConfig;
+                    }
+                    this.finishTask(slot, result);
+                }, 10);
+            },
+            terminate: () => clearTimeout(timer)
+        };
+        return slot;
+    },
+
+    /**
+     * Drop a failed worker; the last one is replaced by the page thread fallback
+     */
+    removeSlot(slot) {
+        slot.worker.terminate();
+        this.slots = this.slots.filter(other => other !== slot);
+        if (slot.task) this.queue.unshift(slot.task);
+
+        if (this.slots.length === 0 && this.isRunning()) {
+            this.slots.push(this.createPageThreadSlot());
+        }
+        this.dispatch();
+    }
+};
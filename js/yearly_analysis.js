@@ -56,6 +56,8 @@ const YearlyAnalysis = {
         });
         
         // Filter years with complete data (Jan 1 - Dec 31) AND both solar and grid data
+        // (row thresholds are given for 15-minute data and scaled to the data interval)
+        const rowScale = 15 / BatterySimulation.config.intervalMinutes;
         const completeYears = [];
         yearDataCoverage.forEach((data, year) => {
             const yearStart = new Date(year, 0, 1);
@@ -66,13 +68,13 @@ const YearlyAnalysis = {
             const hasYearEnd = (yearEnd - data.maxDate) / (1000 * 60 * 60 * 24) <= 1;
             
             // Should have at least 35,000 data points for a full year (15-min intervals = 35,040)
-            const hasEnoughData = data.dataPoints >= 35000;
+            const hasEnoughData = data.dataPoints >= 35000 * rowScale;
             
             // Both solar and grid data should be present
             // Solar: at least 8000 rows with actual production (sunny hours ~8h/day * 4 intervals/h * 250 sunny days)
             // Grid: at least 30000 rows with activity (most of the time there's import/export)
-            const hasSufficientSolar = data.hasSolar >= 8000;
-            const hasSufficientGrid = data.hasGrid >= 30000;
+            const hasSufficientSolar = data.hasSolar >= 8000 * rowScale;
+            const hasSufficientGrid = data.hasGrid >= 30000 * rowScale;
             
             // Reject if too many suspicious rows (>5% indicates missing grid data)
             const suspiciousPercentage = (data.suspiciousRows / data.dataPoints) * 100;
@@ -152,6 +154,7 @@ const YearlyAnalysis = {
         
         // Calculate yearly totals
         const yearlyTotals = this.calculateYearlyTotals(monthlyResults, year, capacityKwh);
+        yearlyTotals.degradationEnabled = !!simulationResults.metrics.degradation;
         
         // Store results
         this.currentResults = yearlyTotals;
@@ -186,14 +189,17 @@ const YearlyAnalysis = {
      * Aggregate data by month using existing DataMerger function
      */
     aggregateToMonthly(yearData, simulatedData, baselineMetrics, simulatedMetrics, financialMetrics) {
+        const intervalHours = BatterySimulation.getIntervalHours();
+        
         // Use existing DataMerger.aggregateDataToMonthly for consistency
-        const monthlyOriginal = DataMerger.aggregateDataToMonthly(yearData, {
-            sum: ['productionKw', 'importKwh', 'exportKwh'],
+        // (simulated points carry the baseline flows with the export limit applied)
+        const monthlyOriginal = DataMerger.aggregateDataToMonthly(simulatedData, {
+            sum: ['productionKw', 'importKwh', 'exportKwh', 'curtailedKwh'],
             average: []
         });
         
         const monthlySimulated = DataMerger.aggregateDataToMonthly(simulatedData, {
-            sum: ['gridImportWithBattery', 'gridExportWithBattery'],
+            sum: ['gridImportWithBattery', 'gridExportWithBattery', 'curtailedWithBatteryKwh', 'inverterClippedKwh'],
             average: []
         });
         
@@ -207,21 +213,31 @@ const YearlyAnalysis = {
             gridExportOptimized: 0,
             gridImportOriginal: 0,
             gridImportOptimized: 0,
+            curtailedOriginal: 0,
+            curtailedOptimized: 0,
+            inverterClippedOptimized: 0,
+            peakImportOriginalKw: 0,
+            peakImportOptimizedKw: 0,
+            throughputKwh: 0,
+            sohEndPercent: 100,
             dataPoints: 0
         }));
         
         // Map aggregated data to monthly buckets
         monthlyOriginal.forEach(row => {
             const month = new Date(row.timestampMs).getMonth();
-            monthlyBuckets[month].solarProduction = (row.productionKw || 0) * 0.25; // Convert kW to kWh
+            monthlyBuckets[month].solarProduction = (row.productionKw || 0) * intervalHours; // Convert kW to kWh
             monthlyBuckets[month].gridExportOriginal = row.exportKwh || 0;
             monthlyBuckets[month].gridImportOriginal = row.importKwh || 0;
+            monthlyBuckets[month].curtailedOriginal = row.curtailedKwh || 0;
         });
         
         monthlySimulated.forEach(row => {
             const month = new Date(row.timestampMs).getMonth();
             monthlyBuckets[month].gridExportOptimized = row.gridExportWithBattery || 0;
             monthlyBuckets[month].gridImportOptimized = row.gridImportWithBattery || 0;
+            monthlyBuckets[month].curtailedOptimized = row.curtailedWithBatteryKwh || 0;
+            monthlyBuckets[month].inverterClippedOptimized = row.inverterClippedKwh || 0;
         });
         
         // Count data points per month
@@ -230,6 +246,19 @@ const YearlyAnalysis = {
             monthlyBuckets[month].dataPoints++;
         });
         
+        // Battery throughput per month and state of health at the end of each month
+        let previousThroughput = 0;
+        simulatedData.forEach(row => {
+            const month = new Date(row.timestampMs).getMonth();
+            monthlyBuckets[month].throughputKwh += row.cumulativeThroughputKwh - previousThroughput;
+            monthlyBuckets[month].sohEndPercent = row.batterySohPercent;
+            previousThroughput = row.cumulativeThroughputKwh;
+            
+            // Monthly peak import (interval average power) for demand charges
+            monthlyBuckets[month].peakImportOriginalKw = Math.max(monthlyBuckets[month].peakImportOriginalKw, row.importKwh / intervalHours);
+            monthlyBuckets[month].peakImportOptimizedKw = Math.max(monthlyBuckets[month].peakImportOptimizedKw, row.gridImportWithBattery / intervalHours);
+        });
+        
         // Initialize cumulative tracking for tier-based financial calculations
         let cumulativeBaselineImport = 0;
         let cumulativeBatteryImport = 0;
@@ -239,11 +268,36 @@ const YearlyAnalysis = {
         const tier2Price = prices.tier2ImportPrice;
         const exportPrice = prices.exportPrice;
         const tier1Limit = prices.tier1LimitKwh; // Full annual limit (2523 kWh)
+        const demandChargePerKw = BatterySimulation.config.demandChargePerKw || 0;
+        
+        // Time-of-use tariff: sum per-interval costs into monthly buckets
+        const isTouTariff = BatterySimulation.config.tariffMode === 'tou';
+        const touBaselineCosts = new Array(12).fill(0);
+        const touBatteryCosts = new Array(12).fill(0);
+        if (isTouTariff) {
+            const priceSeries = TariffEngine.buildPriceSeries(simulatedData, BatterySimulation.getTouSchedule());
+            const baselineIntervalCosts = TariffEngine.calculateIntervalCosts(
+                simulatedData.map(row => row.importKwh),
+                simulatedData.map(row => row.exportKwh),
+                priceSeries
+            );
+            const batteryIntervalCosts = TariffEngine.calculateIntervalCosts(
+                simulatedData.map(row => row.gridImportWithBattery),
+                simulatedData.map(row => row.gridExportWithBattery),
+                priceSeries
+            );
+            simulatedData.forEach((row, i) => {
+                const month = new Date(row.timestampMs).getMonth();
+                touBaselineCosts[month] += baselineIntervalCosts[i];
+                touBatteryCosts[month] += batteryIntervalCosts[i];
+            });
+        }
         
         // Calculate metrics for each month with cumulative tier tracking
         const monthlyResults = monthlyBuckets.map(bucket => {
-            const selfConsumptionBefore = bucket.solarProduction - bucket.gridExportOriginal;
-            const selfConsumptionAfter = bucket.solarProduction - bucket.gridExportOptimized;
+            // Curtailed PV (export limit) is neither exported nor self-consumed
+            const selfConsumptionBefore = bucket.solarProduction - bucket.gridExportOriginal - bucket.curtailedOriginal;
+            const selfConsumptionAfter = bucket.solarProduction - bucket.gridExportOptimized - bucket.curtailedOptimized - bucket.inverterClippedOptimized;
             const gridExportReduction = bucket.gridExportOriginal - bucket.gridExportOptimized;
             
             const selfConsumptionBeforePct = bucket.solarProduction > 0 
@@ -260,43 +314,52 @@ const YearlyAnalysis = {
             let baselineCost = 0;
             let batteryCost = 0;
             
-            // BASELINE scenario - calculate cost with tier boundary detection
-            const baselineImportBefore = cumulativeBaselineImport;
-            const baselineImportAfter = cumulativeBaselineImport + bucket.gridImportOriginal;
-            
-            if (baselineImportAfter <= tier1Limit) {
-                // All consumption in Tier 1
-                baselineCost = bucket.gridImportOriginal * tier1Price;
-            } else if (baselineImportBefore >= tier1Limit) {
-                // All consumption in Tier 2
-                baselineCost = bucket.gridImportOriginal * tier2Price;
+            if (isTouTariff) {
+                baselineCost = touBaselineCosts[bucket.monthIndex];
+                batteryCost = touBatteryCosts[bucket.monthIndex];
             } else {
-                // Crosses tier boundary - split calculation
-                const tier1Kwh = tier1Limit - baselineImportBefore;
-                const tier2Kwh = bucket.gridImportOriginal - tier1Kwh;
-                baselineCost = (tier1Kwh * tier1Price) + (tier2Kwh * tier2Price);
-            }
-            baselineCost -= bucket.gridExportOriginal * exportPrice; // Subtract export revenue
-            cumulativeBaselineImport += bucket.gridImportOriginal;
+                // BASELINE scenario - calculate cost with tier boundary detection
+                const baselineImportBefore = cumulativeBaselineImport;
+                const baselineImportAfter = cumulativeBaselineImport + bucket.gridImportOriginal;
             
-            // BATTERY scenario - calculate cost with tier boundary detection
-            const batteryImportBefore = cumulativeBatteryImport;
-            const batteryImportAfter = cumulativeBatteryImport + bucket.gridImportOptimized;
+                if (baselineImportAfter <= tier1Limit) {
+                    // All consumption in Tier 1
+                    baselineCost = bucket.gridImportOriginal * tier1Price;
+                } else if (baselineImportBefore >= tier1Limit) {
+                    // All consumption in Tier 2
+                    baselineCost = bucket.gridImportOriginal * tier2Price;
+                } else {
+                    // Crosses tier boundary - split calculation
+                    const tier1Kwh = tier1Limit - baselineImportBefore;
+                    const tier2Kwh = bucket.gridImportOriginal - tier1Kwh;
+                    baselineCost = (tier1Kwh * tier1Price) + (tier2Kwh * tier2Price);
+                }
+                baselineCost -= bucket.gridExportOriginal * exportPrice; // Subtract export revenue
+                cumulativeBaselineImport += bucket.gridImportOriginal;
             
-            if (batteryImportAfter <= tier1Limit) {
-                // All consumption in Tier 1
-                batteryCost = bucket.gridImportOptimized * tier1Price;
-            } else if (batteryImportBefore >= tier1Limit) {
-                // All consumption in Tier 2
-                batteryCost = bucket.gridImportOptimized * tier2Price;
-            } else {
-                // Crosses tier boundary - split calculation
-                const tier1Kwh = tier1Limit - batteryImportBefore;
-                const tier2Kwh = bucket.gridImportOptimized - tier1Kwh;
-                batteryCost = (tier1Kwh * tier1Price) + (tier2Kwh * tier2Price);
+                // BATTERY scenario - calculate cost with tier boundary detection
+                const batteryImportBefore = cumulativeBatteryImport;
+                const batteryImportAfter = cumulativeBatteryImport + bucket.gridImportOptimized;
+            
+                if (batteryImportAfter <= tier1Limit) {
+                    // All consumption in Tier 1
+                    batteryCost = bucket.gridImportOptimized * tier1Price;
+                } else if (batteryImportBefore >= tier1Limit) {
+                    // All consumption in Tier 2
+                    batteryCost = bucket.gridImportOptimized * tier2Price;
+                } else {
+                    // Crosses tier boundary - split calculation
+                    const tier1Kwh = tier1Limit - batteryImportBefore;
+                    const tier2Kwh = bucket.gridImportOptimized - tier1Kwh;
+                    batteryCost = (tier1Kwh * tier1Price) + (tier2Kwh * tier2Price);
+                }
+                batteryCost -= bucket.gridExportOptimized * exportPrice; // Subtract export revenue
+                cumulativeBatteryImport += bucket.gridImportOptimized;
             }
-            batteryCost -= bucket.gridExportOptimized * exportPrice; // Subtract export revenue
-            cumulativeBatteryImport += bucket.gridImportOptimized;
+            
+            // Demand charge on each month's peak import
+            baselineCost += bucket.peakImportOriginalKw * demandChargePerKw;
+            batteryCost += bucket.peakImportOptimizedKw * demandChargePerKw;
             
             const savings = baselineCost - batteryCost;
             const savingsPct = baselineCost > 0 ? (savings / baselineCost * 100) : 0;
@@ -331,6 +394,7 @@ const YearlyAnalysis = {
             acc.baselineCost += month.baselineCost;
             acc.batteryCost += month.batteryCost;
             acc.savings += month.savings;
+            acc.throughputKwh += month.throughputKwh;
             return acc;
         }, {
             solarProduction: 0,
@@ -339,7 +403,8 @@ const YearlyAnalysis = {
             gridExportReduction: 0,
             baselineCost: 0,
             batteryCost: 0,
-            savings: 0
+            savings: 0,
+            throughputKwh: 0
         });
         
         return {
@@ -358,6 +423,8 @@ const YearlyAnalysis = {
             savingsPct: totals.baselineCost > 0
                 ? (totals.savings / totals.baselineCost * 100)
                 : 0,
+            equivalentFullCycles: capacityKwh > 0 ? totals.throughputKwh / (2 * capacityKwh) : 0,
+            sohEndPercent: monthlyResults[monthlyResults.length - 1].sohEndPercent,
             monthlyResults
         };
     },
@@ -386,6 +453,18 @@ const YearlyAnalysis = {
                 yearlyTotals.gridExportReduction, 
                 yearlyTotals.gridExportReductionPct
             )}</span>`;
+        
+        // Battery health card (degradation model only)
+        const healthCard = document.getElementById('yearlyBatteryHealthCard');
+        if (yearlyTotals.degradationEnabled) {
+            document.getElementById('yearlyBatteryHealth').innerHTML = 
+                `<span style="color: #22c55e; font-size: 1.5rem; font-weight: 700;">${App.formatNumber(yearlyTotals.sohEndPercent, 1)}% SOH</span>` +
+                `<div style="font-size: 0.9rem; color: #a0a0a0;">${App.formatNumber(yearlyTotals.throughputKwh, 0)} kWh throughput, ` +
+                `${App.formatNumber(yearlyTotals.equivalentFullCycles, 1)} full cycles</div>`;
+            healthCard.style.display = 'block';
+        } else {
+            healthCard.style.display = 'none';
+        }
     },
 
     /**
@@ -394,12 +473,18 @@ const YearlyAnalysis = {
     renderMonthlyTable(monthlyResults) {
         const tbody = document.getElementById('monthlyTableBody');
         const showFinancials = this.showFinancials;
+        const showDegradation = this.currentResults.degradationEnabled;
         
         // Toggle financial column visibility
         document.querySelectorAll('.financial-col').forEach(col => {
             col.style.display = showFinancials ? 'table-cell' : 'none';
         });
         
+        // Toggle battery health column visibility
+        document.querySelectorAll('.degradation-col').forEach(col => {
+            col.style.display = showDegradation ? 'table-cell' : 'none';
+        });
+        
         // Clear existing rows
         tbody.innerHTML = '';
         
@@ -414,6 +499,13 @@ const YearlyAnalysis = {
                 <td>${App.formatNumber(month.gridExportReduction, 1)} kWh (${App.formatNumber(month.gridExportReductionPct, 1)}%)</td>
             `;
             
+            if (showDegradation) {
+                rowHTML += `
+                    <td class="degradation-col">${App.formatNumber(month.throughputKwh, 1)} kWh</td>
+                    <td class="degradation-col">${App.formatNumber(month.sohEndPercent, 2)}%</td>
+                `;
+            }
+            
             if (showFinancials) {
                 const currency = BatterySimulation.config.currency === 'HUF' ? 'Ft' : '€';
                 rowHTML += `
@@ -437,6 +529,13 @@ const YearlyAnalysis = {
             <td><strong>${App.formatNumber(totals.gridExportReduction, 1)} kWh (${App.formatNumber(totals.gridExportReductionPct, 1)}%)</strong></td>
         `;
         
+        if (showDegradation) {
+            totalHTML += `
+                <td class="degradation-col"><strong>${App.formatNumber(totals.throughputKwh, 1)} kWh (${App.formatNumber(totals.equivalentFullCycles, 1)} cycles)</strong></td>
+                <td class="degradation-col"><strong>${App.formatNumber(totals.sohEndPercent, 2)}%</strong></td>
+            `;
+        }
+        
         if (showFinancials) {
             const currency = BatterySimulation.config.currency === 'HUF' ? 'Ft' : '€';
             totalHTML += `
@@ -648,6 +747,9 @@ const YearlyAnalysis = {
         tsv += 'SOLAR SELF-CONSUMPTION (WITH BATTERY)\t';
         tsv += 'GRID EXPORT REDUCTION';
         
+        if (results.degradationEnabled) {
+            tsv += '\tBATTERY THROUGHPUT\tSOH (END OF MONTH)';
+        }
         if (showFinancials) {
             tsv += '\tBASELINE COST\tBATTERY COST\tTOTAL SAVINGS';
         }
@@ -660,6 +762,10 @@ const YearlyAnalysis = {
             tsv += `${App.formatNumber(month.selfConsumptionAfter, 1)} kWh (${App.formatNumber(month.selfConsumptionAfterPct, 1)}%)\t`;
             tsv += `${App.formatNumber(month.gridExportReduction, 1)} kWh (${App.formatNumber(month.gridExportReductionPct, 1)}%)`;
             
+            if (results.degradationEnabled) {
+                tsv += `\t${App.formatNumber(month.throughputKwh, 1)} kWh`;
+                tsv += `\t${App.formatNumber(month.sohEndPercent, 2)}%`;
+            }
             if (showFinancials) {
                 tsv += `\t${App.formatNumber(month.baselineCost, 0)} ${currency}`;
                 tsv += `\t${App.formatNumber(month.batteryCost, 0)} ${currency}`;
@@ -674,6 +780,10 @@ const YearlyAnalysis = {
         tsv += `${App.formatNumber(results.selfConsumptionAfter, 1)} kWh (${App.formatNumber(results.selfConsumptionAfterPct, 1)}%)\t`;
         tsv += `${App.formatNumber(results.gridExportReduction, 1)} kWh (${App.formatNumber(results.gridExportReductionPct, 1)}%)`;
         
+        if (results.degradationEnabled) {
+            tsv += `\t${App.formatNumber(results.throughputKwh, 1)} kWh (${App.formatNumber(results.equivalentFullCycles, 1)} cycles)`;
+            tsv += `\t${App.formatNumber(results.sohEndPercent, 2)}%`;
+        }
         if (showFinancials) {
             tsv += `\t${App.formatNumber(results.baselineCost, 0)} ${currency}`;
             tsv += `\t${App.formatNumber(results.batteryCost, 0)} ${currency}`;
@@ -717,6 +827,9 @@ const YearlyAnalysis = {
         csv += 'Self-Consumption After (kWh),Self-Consumption After (%),';
         csv += 'Grid Export Reduction (kWh),Grid Export Reduction (%)';
         
+        if (results.degradationEnabled) {
+            csv += ',Battery Throughput (kWh),SOH End of Month (%)';
+        }
         if (showFinancials) {
             csv += `,Baseline Cost (${currency}),Battery Cost (${currency}),Total Savings (${currency}),Savings (%)`;
         }
@@ -729,6 +842,9 @@ const YearlyAnalysis = {
             csv += `${month.selfConsumptionAfter.toFixed(1)},${month.selfConsumptionAfterPct.toFixed(1)},`;
             csv += `${month.gridExportReduction.toFixed(1)},${month.gridExportReductionPct.toFixed(1)}`;
             
+            if (results.degradationEnabled) {
+                csv += `,${month.throughputKwh.toFixed(1)},${month.sohEndPercent.toFixed(2)}`;
+            }
             if (showFinancials) {
                 csv += `,${month.baselineCost.toFixed(0)},${month.batteryCost.toFixed(0)},${month.savings.toFixed(0)},${month.savingsPct.toFixed(1)}`;
             }
@@ -741,6 +857,9 @@ const YearlyAnalysis = {
         csv += `${results.selfConsumptionAfter.toFixed(1)},${results.selfConsumptionAfterPct.toFixed(1)},`;
         csv += `${results.gridExportReduction.toFixed(1)},${results.gridExportReductionPct.toFixed(1)}`;
         
+        if (results.degradationEnabled) {
+            csv += `,${results.throughputKwh.toFixed(1)},${results.sohEndPercent.toFixed(2)}`;
+        }
         if (showFinancials) {
             csv += `,${results.baselineCost.toFixed(0)},${results.batteryCost.toFixed(0)},${results.savings.toFixed(0)},${results.savingsPct.toFixed(1)}`;
         }
@@ -752,6 +871,11 @@ const YearlyAnalysis = {
         csv += `Total Solar Production,${results.solarProduction.toFixed(1)} kWh\n`;
         csv += `Self-Consumption Improvement,${(results.selfConsumptionAfter - results.selfConsumptionBefore).toFixed(1)} kWh\n`;
         csv += `Self-Consumption Rate Improvement,${(results.selfConsumptionAfterPct - results.selfConsumptionBeforePct).toFixed(1)} percentage points\n`;
+        if (results.degradationEnabled) {
+            csv += `Battery Throughput,${results.throughputKwh.toFixed(1)} kWh\n`;
+            csv += `Equivalent Full Cycles,${results.equivalentFullCycles.toFixed(1)}\n`;
+            csv += `State of Health (End of Year),${results.sohEndPercent.toFixed(2)} %\n`;
+        }
         
         // Create blob and download
         const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });